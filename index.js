@@ -0,0 +1,26 @@
+/**
+ * Public API for embedding the plugin in another Express service:
+ *
+ *   const { createOmiChatRouter, optionsFromEnv } = require('omi-realtime-aichat');
+ *   const omiChat = createOmiChatRouter({ ...optionsFromEnv(process.env), storage, llm });
+ *   app.use('/omi', omiChat.start());
+ *   process.on('SIGTERM', () => omiChat.stop());
+ *
+ * server.js is the standalone server built from the same router.
+ */
+
+const { createOmiChatRouter } = require('./lib/router');
+const { optionsFromEnv, DEFAULT_OPTIONS } = require('./lib/config');
+const { createStorage } = require('./lib/storage');
+const { createProviderChain, createProviderChainFromEnv } = require('./lib/providers');
+const { createOmiClient } = require('./lib/omiClient');
+
+module.exports = {
+  createOmiChatRouter,
+  optionsFromEnv,
+  DEFAULT_OPTIONS,
+  createStorage,
+  createProviderChain,
+  createProviderChainFromEnv,
+  createOmiClient
+};
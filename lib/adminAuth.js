@@ -0,0 +1,53 @@
+/**
+ * Bearer-token protection for the admin API.
+ *
+ * Admin requests must send the token as "Authorization: Bearer <token>" or in
+ * the X-Admin-Token header. Without ADMIN_TOKEN the admin API is switched off
+ * and its routes answer 404, so nothing about it is exposed.
+ */
+
+const { safeEqual } = require('./webhookAuth');
+const { logger } = require('./logger');
+
+/**
+ * Whether a request carries the admin token.
+ * @param {object} req - Express request
+ * @param {string} [token] - Admin token; empty never matches
+ * @returns {boolean}
+ */
+function hasAdminToken(req, token) {
+  if (!token) return false;
+
+  const authorization = req.get('authorization') || '';
+  const provided = authorization.startsWith('Bearer ') ?
+    authorization.slice('Bearer '.length) :
+    req.get('x-admin-token');
+
+  return Boolean(provided) && safeEqual(provided, token);
+}
+
+/**
+ * Creates the admin authentication middleware.
+ * @param {object} options
+ * @param {string} [options.token] - Admin token; empty disables the admin API
+ * @returns {function} Express middleware
+ */
+function createAdminAuth({ token }) {
+  return function adminAuth(req, res, next) {
+    if (!token) {
+      return res.status(404).json({ error: 'Not Found', message: 'Endpoint not found' });
+    }
+
+    if (!hasAdminToken(req, token)) {
+      logger.warn('🔒 Admin request rejected', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Unauthorized', message: 'Missing or invalid admin token' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createAdminAuth,
+  hasAdminToken
+};
@@ -0,0 +1,133 @@
+/**
+ * Short-lived cache of LLM answers, so asking the same question again is
+ * answered instantly and for free.
+ *
+ * Only questions whose answer does not depend on when or in what context they
+ * were asked are cached: nothing about today, the news or the weather, and no
+ * follow-ups ("what about his brother?") that lean on the conversation so far.
+ * The words that give these away are listed per language in lib/languages.
+ * Entries are per user and keyed on the normalized question plus everything
+ * in the instructions that shapes the answer (persona, length, language).
+ */
+
+const crypto = require('crypto');
+const { getLanguage } = require('./languages');
+
+/**
+ * Normalizes a question so trivially different phrasings share an entry.
+ * @param {string} question
+ * @returns {string} Lowercased, without punctuation or repeated whitespace
+ */
+function normalizeQuestion(question) {
+  return question
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a question's answer may be cached and served again, going by the
+ * language table's timeSensitiveWords, followUpWords and followUpStarters.
+ * @param {string} question - The extracted question
+ * @param {object} [context]
+ * @param {boolean} [context.hasHistory] - Earlier turns were sent with the question
+ * @param {object} [context.language] - Language table of the question (default English)
+ * @returns {boolean}
+ */
+function isCacheableQuestion(question, { hasHistory = false, language = getLanguage() } = {}) {
+  const normalized = normalizeQuestion(question);
+  if (!normalized || language.timeSensitivePattern.test(normalized)) return false;
+  return !(hasHistory && language.followUpPattern.test(normalized));
+}
+
+/**
+ * Creates the answer cache.
+ * @param {object} options
+ * @param {object} options.collection - Storage collection holding "<uid>:<hash>" -> cached answer
+ * @param {number} options.ttlMs - How long an answer is served from the cache
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Cache with get, set, purge and stats
+ */
+function createAnswerCache({ collection, ttlMs, now = Date.now }) {
+  let hits = 0;
+  let misses = 0;
+
+  function keyFor(uid, question, variant) {
+    const hash = crypto.createHash('sha256').update(`${variant}\n${normalizeQuestion(question)}`).digest('hex');
+    return `${uid}:${hash}`;
+  }
+
+  /**
+   * Looks up a cached answer, counting the hit or miss.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - The extracted question
+   * @param {string} variant - Whatever else shapes the answer, e.g. the persona instructions
+   * @returns {object|null} { answer, provider, model, cached_at } or null
+   */
+  function get(uid, question, variant) {
+    const entry = collection.get(keyFor(uid, question, variant));
+    if (entry) {
+      hits++;
+    } else {
+      misses++;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Caches an answer.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - The extracted question
+   * @param {string} variant - As passed to get()
+   * @param {object} answer - { answer, provider, model }
+   */
+  function set(uid, question, variant, { answer, provider, model }) {
+    collection.set(keyFor(uid, question, variant), {
+      answer,
+      provider,
+      model,
+      cached_at: new Date(now()).toISOString()
+    }, { ttlMs });
+  }
+
+  /**
+   * Drops every cached answer for a user.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {number} Number of answers dropped
+   */
+  function purge(uid) {
+    const keys = collection.entries()
+      .map(([key]) => key)
+      .filter(key => key.startsWith(`${uid}:`));
+    for (const key of keys) collection.delete(key);
+    return keys.length;
+  }
+
+  /**
+   * Hit and miss counts since startup, for /health.
+   * @returns {object}
+   */
+  function stats() {
+    const lookups = hits + misses;
+    return {
+      entries: collection.size,
+      hits,
+      misses,
+      hit_rate: lookups > 0 ? Number((hits / lookups).toFixed(3)) : null
+    };
+  }
+
+  return {
+    get,
+    set,
+    purge,
+    stats
+  };
+}
+
+module.exports = {
+  createAnswerCache,
+  isCacheableQuestion,
+  normalizeQuestion
+};
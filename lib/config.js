@@ -0,0 +1,175 @@
+/**
+ * Options for createOmiChatRouter, and how they are read from the environment.
+ *
+ * DEFAULT_OPTIONS are what an embedded router uses for anything not passed in;
+ * optionsFromEnv maps the documented environment variables (see env.example)
+ * onto the same option names for the standalone server.
+ */
+
+const { defaultSettingsFromEnv } = require('./settings');
+const { PII_TYPES } = require('./pii');
+
+const DEFAULT_OPTIONS = {
+  // Omi API credentials for notifications (used when no omi client is injected)
+  omiAppId: undefined,
+  omiAppSecret: undefined,
+
+  // Webhook authentication, replay protection and payload limits (see lib/webhookAuth.js)
+  webhookAuthMode: 'none',
+  webhookSecret: undefined,
+  webhookReplayWindowMs: 300 * 1000,
+  webhookMaxBody: '100kb',
+  webhookRequireUid: false,
+  // Finished conversations are much larger than real-time transcript batches
+  memoryWebhookMaxBody: '2mb',
+  // Per-user (or per-IP without a uid) webhook requests per minute; 0 disables
+  webhookRateLimitPerMinute: 120,
+
+  // Storage expiry
+  sessionTtlMs: 5 * 60 * 1000,
+  storageSweepIntervalMs: 60 * 1000,
+
+  // Admin API; disabled without a token
+  adminToken: undefined,
+  decisionLogSize: 200,
+
+  // End-of-utterance detection
+  utterancePauseSeconds: 1.5,
+  utteranceMinWords: 3,
+  utteranceSilenceMs: 4000,
+
+  // Omi notifications
+  maxNotificationsPerHour: 10,
+  notificationWindowMs: 60 * 60 * 1000,
+  notificationMaxRetries: 3,
+  notificationRetryBaseMs: 2000,
+
+  // LLM usage quotas per user (0 = unlimited) and price overrides (see lib/usage.js)
+  usageLimits: { dailyTokens: 0, monthlyTokens: 0, dailyCostUsd: 0, monthlyCostUsd: 0 },
+  usagePricing: {},
+
+  // Answer delivery and shaping
+  responseMode: 'sync',
+  responseBudgets: { chat: 1000, notification: 300 },
+  responseOverflow: 'more',
+  memoryDigestNotifications: false,
+
+  // Conversation memory
+  conversationMaxTurns: 6,
+  conversationTtlMs: 30 * 60 * 1000,
+
+  // Triggers, instant answers and tools
+  wakeWordMinConfidence: 0.6,
+  localIntents: true,
+  toolsEnabled: true,
+  customTools: undefined,
+
+  // Time limit for one answer across the whole provider chain (0 = none), and
+  // how long repeated questions are answered from the cache (0 = no cache)
+  llmDeadlineMs: 25 * 1000,
+  answerCacheTtlMs: 60 * 60 * 1000,
+
+  // Exportable record of answered exchanges
+  historyEnabled: true,
+  historyRetentionMs: 30 * 24 * 60 * 60 * 1000,
+  historyMaxPerUser: 1000,
+
+  // Kinds of personal data masked before questions reach the LLM provider, for
+  // users with pii_redaction on (see lib/pii.js)
+  piiRedactionTypes: PII_TYPES,
+
+  // Per-user settings defaults (see lib/settings.js)
+  settingsDefaults: defaultSettingsFromEnv({})
+};
+
+/**
+ * Parses an integer variable, keeping 0 (which often means "disabled").
+ * @param {string} [value]
+ * @param {number} fallback
+ * @returns {number}
+ */
+function intOr(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Reads router options from environment variables.
+ * @param {object} env - Usually process.env
+ * @returns {object} Options for createOmiChatRouter
+ */
+function optionsFromEnv(env) {
+  return {
+    omiAppId: env.OMI_APP_ID,
+    omiAppSecret: env.OMI_APP_SECRET,
+
+    webhookAuthMode: env.WEBHOOK_AUTH_MODE || DEFAULT_OPTIONS.webhookAuthMode,
+    webhookSecret: env.WEBHOOK_SECRET,
+    webhookReplayWindowMs: (parseInt(env.WEBHOOK_REPLAY_WINDOW_SECONDS, 10) || 300) * 1000,
+    webhookMaxBody: env.WEBHOOK_MAX_BODY || DEFAULT_OPTIONS.webhookMaxBody,
+    webhookRequireUid: env.WEBHOOK_REQUIRE_UID === 'true',
+    memoryWebhookMaxBody: env.MEMORY_WEBHOOK_MAX_BODY || DEFAULT_OPTIONS.memoryWebhookMaxBody,
+    webhookRateLimitPerMinute: intOr(env.WEBHOOK_RATE_LIMIT_PER_MINUTE, DEFAULT_OPTIONS.webhookRateLimitPerMinute),
+
+    sessionTtlMs: (parseInt(env.SESSION_TTL_MINUTES, 10) || 5) * 60 * 1000,
+    storageSweepIntervalMs: DEFAULT_OPTIONS.storageSweepIntervalMs,
+
+    adminToken: env.ADMIN_TOKEN,
+    decisionLogSize: intOr(env.ADMIN_DECISION_LOG_SIZE, DEFAULT_OPTIONS.decisionLogSize),
+
+    utterancePauseSeconds: parseFloat(env.UTTERANCE_PAUSE_SECONDS) || DEFAULT_OPTIONS.utterancePauseSeconds,
+    utteranceMinWords: parseInt(env.UTTERANCE_MIN_WORDS, 10) || DEFAULT_OPTIONS.utteranceMinWords,
+    utteranceSilenceMs: intOr(env.UTTERANCE_SILENCE_MS, DEFAULT_OPTIONS.utteranceSilenceMs),
+
+    maxNotificationsPerHour: DEFAULT_OPTIONS.maxNotificationsPerHour,
+    notificationWindowMs: DEFAULT_OPTIONS.notificationWindowMs,
+    notificationMaxRetries: parseInt(env.NOTIFICATION_MAX_RETRIES, 10) || DEFAULT_OPTIONS.notificationMaxRetries,
+    notificationRetryBaseMs: parseInt(env.NOTIFICATION_RETRY_BASE_MS, 10) || DEFAULT_OPTIONS.notificationRetryBaseMs,
+
+    usageLimits: {
+      dailyTokens: parseInt(env.USAGE_DAILY_TOKENS, 10) || 0,
+      monthlyTokens: parseInt(env.USAGE_MONTHLY_TOKENS, 10) || 0,
+      dailyCostUsd: parseFloat(env.USAGE_DAILY_COST_USD) || 0,
+      monthlyCostUsd: parseFloat(env.USAGE_MONTHLY_COST_USD) || 0
+    },
+    usagePricing: {
+      ...(env.USAGE_PRICE_INPUT_PER_M && { input: parseFloat(env.USAGE_PRICE_INPUT_PER_M) }),
+      ...(env.USAGE_PRICE_OUTPUT_PER_M && { output: parseFloat(env.USAGE_PRICE_OUTPUT_PER_M) }),
+      ...(env.USAGE_PRICE_WEB_SEARCH && { webSearch: parseFloat(env.USAGE_PRICE_WEB_SEARCH) })
+    },
+
+    responseMode: env.RESPONSE_MODE === 'async' ? 'async' : 'sync',
+    responseBudgets: {
+      chat: parseInt(env.RESPONSE_MAX_CHARS_CHAT, 10) || DEFAULT_OPTIONS.responseBudgets.chat,
+      notification: parseInt(env.RESPONSE_MAX_CHARS_NOTIFICATION, 10) || DEFAULT_OPTIONS.responseBudgets.notification
+    },
+    responseOverflow: env.RESPONSE_OVERFLOW === 'split' ? 'split' : 'more',
+    memoryDigestNotifications: env.MEMORY_DIGEST_NOTIFICATIONS === 'true',
+
+    conversationMaxTurns: parseInt(env.CONVERSATION_MAX_TURNS, 10) || DEFAULT_OPTIONS.conversationMaxTurns,
+    conversationTtlMs: (parseInt(env.CONVERSATION_TTL_MINUTES, 10) || 30) * 60 * 1000,
+
+    wakeWordMinConfidence: parseFloat(env.WAKE_WORD_MIN_CONFIDENCE) || DEFAULT_OPTIONS.wakeWordMinConfidence,
+    localIntents: env.LOCAL_INTENTS !== 'false',
+    toolsEnabled: env.TOOLS_ENABLED !== 'false',
+    customTools: env.CUSTOM_TOOLS,
+
+    llmDeadlineMs: intOr(env.LLM_DEADLINE_MS, DEFAULT_OPTIONS.llmDeadlineMs),
+    answerCacheTtlMs: intOr(env.ANSWER_CACHE_TTL_MINUTES, 60) * 60 * 1000,
+
+    historyEnabled: env.HISTORY_ENABLED !== 'false',
+    historyRetentionMs: (parseInt(env.HISTORY_RETENTION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+    historyMaxPerUser: parseInt(env.HISTORY_MAX_PER_USER, 10) || DEFAULT_OPTIONS.historyMaxPerUser,
+
+    piiRedactionTypes: env.PII_REDACTION_TYPES ?
+      env.PII_REDACTION_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean) :
+      DEFAULT_OPTIONS.piiRedactionTypes,
+
+    settingsDefaults: defaultSettingsFromEnv(env)
+  };
+}
+
+module.exports = {
+  optionsFromEnv,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,78 @@
+/**
+ * Per-user conversation memory.
+ *
+ * Keeps the last few question/answer exchanges for each Omi user so follow-up
+ * questions ("and what about tomorrow?") reach the model with context.
+ * A conversation expires after a period of inactivity (a storage TTL).
+ */
+
+const { getLanguage } = require('./languages');
+
+/**
+ * Creates a conversation store.
+ * @param {object} options
+ * @param {object} options.collection - Storage collection holding uid -> messages
+ * @param {number} options.maxTurns - Number of question/answer exchanges to keep per user
+ * @param {number} options.ttlMs - Inactivity period after which a conversation is forgotten
+ * @returns {object} Conversation store
+ */
+function createConversationStore({ collection, maxTurns, ttlMs }) {
+  /**
+   * Returns the stored messages for a user, oldest first.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {Array<{role: string, content: string}>} Chat messages
+   */
+  function getHistory(uid) {
+    const messages = collection.get(uid);
+    return messages ? messages.slice() : [];
+  }
+
+  /**
+   * Records an answered exchange, trimming to the configured window.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - What the user asked
+   * @param {string} answer - What the assistant replied
+   */
+  function appendExchange(uid, question, answer) {
+    const messages = getHistory(uid);
+    messages.push({ role: 'user', content: question });
+    messages.push({ role: 'assistant', content: answer });
+
+    collection.set(uid, messages.slice(-maxTurns * 2), { ttlMs });
+  }
+
+  /**
+   * Forgets everything for a user.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {boolean} Whether there was anything to forget
+   */
+  function clear(uid) {
+    return collection.delete(uid);
+  }
+
+  return {
+    getHistory,
+    appendExchange,
+    clear,
+    get size() {
+      return collection.size;
+    }
+  };
+}
+
+/**
+ * Checks whether a question is a spoken "start over" command (the language
+ * table's resetCommands). The command must be the whole question, so "forget
+ * that song, who sang Yesterday?" is still answered.
+ * @param {string} question - The extracted question
+ * @param {object} [language] - Language table of the question (default English)
+ * @returns {boolean} True if the user wants to reset the conversation
+ */
+function isResetCommand(question, language = getLanguage()) {
+  return language.resetPattern.test(question);
+}
+
+module.exports = {
+  createConversationStore,
+  isResetCommand
+};
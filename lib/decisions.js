@@ -0,0 +1,91 @@
+/**
+ * Ring buffer of recent webhook decisions: why each transcript was answered,
+ * ignored or left waiting. Kept in memory only, for the admin API; the oldest
+ * entries are dropped once the buffer is full.
+ */
+
+/**
+ * Creates the decision log.
+ * @param {object} [options]
+ * @param {number} [options.capacity] - Decisions kept
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Log with record(decision), list(filter) and clear()
+ */
+function createDecisionLog({ capacity = 200, now = Date.now } = {}) {
+  const buffer = new Array(capacity);
+  let next = 0;
+  let count = 0;
+
+  /**
+   * Adds a decision, overwriting the oldest once the buffer is full.
+   * @param {object} decision - { session_id, uid, outcome, reason, ... }
+   */
+  function record(decision) {
+    if (capacity === 0) return;
+    buffer[next] = { at: new Date(now()).toISOString(), ...decision };
+    next = (next + 1) % capacity;
+    count = Math.min(count + 1, capacity);
+  }
+
+  /**
+   * Lists decisions, newest first.
+   * @param {object} [filter]
+   * @param {string} [filter.sessionId] - Only this session
+   * @param {string} [filter.uid] - Only this user
+   * @param {string} [filter.outcome] - Only this outcome
+   * @param {number} [filter.limit] - Maximum number returned
+   * @returns {Array<object>}
+   */
+  function list({ sessionId, uid, outcome, limit = capacity } = {}) {
+    const decisions = [];
+    for (let i = 1; i <= count && decisions.length < limit; i++) {
+      const decision = buffer[(next - i + capacity) % capacity];
+      if (sessionId && decision.session_id !== sessionId) continue;
+      if (uid && decision.uid !== uid) continue;
+      if (outcome && decision.outcome !== outcome) continue;
+      decisions.push(decision);
+    }
+    return decisions;
+  }
+
+  /**
+   * Drops every decision about one user.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {number} Number of decisions dropped
+   */
+  function forget(uid) {
+    const kept = list().filter(decision => decision.uid !== uid).reverse();
+    const dropped = count - kept.length;
+    clear();
+    for (const decision of kept) {
+      buffer[next] = decision;
+      next = (next + 1) % capacity;
+      count++;
+    }
+    return dropped;
+  }
+
+  /**
+   * Drops every decision.
+   */
+  function clear() {
+    buffer.fill(undefined);
+    next = 0;
+    count = 0;
+  }
+
+  return {
+    record,
+    list,
+    forget,
+    clear,
+    capacity,
+    get size() {
+      return count;
+    }
+  };
+}
+
+module.exports = {
+  createDecisionLog
+};
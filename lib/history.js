@@ -0,0 +1,197 @@
+/**
+ * Record of answered exchanges, for QA and for users who ask for their data.
+ *
+ * Unlike conversation memory (the last few turns, sent back to the model) this
+ * keeps every answered question for the retention period, with how it was
+ * triggered and which provider answered it. Exports are per user over a date
+ * range, as JSON, NDJSON or a Markdown transcript.
+ */
+
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+/**
+ * Creates the exchange history.
+ * @param {object} options
+ * @param {object} options.collection - Storage collection holding uid -> exchanges
+ * @param {number} options.retentionMs - How long exchanges are kept
+ * @param {number} options.maxPerUser - Exchanges kept per user; the oldest are dropped
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} History store
+ */
+function createHistoryStore({ collection, retentionMs, maxPerUser, now = Date.now }) {
+  /**
+   * Records an answered exchange.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {object} exchange
+   * @param {string} [exchange.sessionId] - The Omi session ID
+   * @param {string} exchange.question - What the user asked
+   * @param {string} exchange.answer - What the assistant replied
+   * @param {object} [exchange.trigger] - How the assistant was invoked, e.g. { reason: 'wake_word', phrase: 'hey omi' }
+   * @param {string} exchange.provider - Answering provider, or "local" for instant answers
+   * @param {string} [exchange.model] - Model, or the intent for local answers
+   * @param {number} exchange.askedAt - When the question was complete (ms)
+   * @returns {object} The stored exchange
+   */
+  function record(uid, { sessionId, question, answer, trigger, provider, model, askedAt }) {
+    const answeredAt = now();
+    const stored = {
+      id: crypto.randomUUID(),
+      uid,
+      session_id: sessionId || null,
+      question,
+      trigger: trigger || null,
+      answer,
+      provider,
+      model: model || null,
+      asked_at: new Date(askedAt).toISOString(),
+      answered_at: new Date(answeredAt).toISOString()
+    };
+
+    const cutoff = answeredAt - retentionMs;
+    const exchanges = (collection.get(uid) || []).filter(previous => Date.parse(previous.answered_at) > cutoff);
+    exchanges.push(stored);
+    collection.set(uid, exchanges.slice(-maxPerUser), { ttlMs: retentionMs });
+    return stored;
+  }
+
+  /**
+   * Lists a user's exchanges, oldest first.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {object} [range]
+   * @param {number} [range.from] - Earliest answered_at (ms, inclusive)
+   * @param {number} [range.to] - Latest answered_at (ms, exclusive)
+   * @returns {Array<object>}
+   */
+  function list(uid, { from = -Infinity, to = Infinity } = {}) {
+    const cutoff = now() - retentionMs;
+    return (collection.get(uid) || []).filter(exchange => {
+      const answeredAt = Date.parse(exchange.answered_at);
+      return answeredAt > cutoff && answeredAt >= from && answeredAt < to;
+    });
+  }
+
+  /**
+   * Deletes all of a user's exchanges.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {number} Number of exchanges deleted
+   */
+  function purge(uid) {
+    const count = (collection.get(uid) || []).length;
+    collection.delete(uid);
+    return count;
+  }
+
+  return {
+    record,
+    list,
+    purge,
+    get size() {
+      return collection.size;
+    }
+  };
+}
+
+/**
+ * Parses an export range from YYYY-MM-DD dates (UTC). "to" is inclusive.
+ * @param {string} [from]
+ * @param {string} [to]
+ * @returns {{from: number, to: number}|{error: string}} Range in ms, or a problem
+ */
+function parseDateRange(from, to) {
+  const range = { from: -Infinity, to: Infinity };
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(`${value}T00:00:00Z`) : NaN;
+    if (Number.isNaN(time)) return { error: `${name} must be a date in YYYY-MM-DD format` };
+    range[name] = name === 'to' ? time + DAY_MS : time;
+  }
+
+  if (range.from >= range.to) return { error: 'from must not be after to' };
+  return range;
+}
+
+/**
+ * Describes how the assistant was invoked, for the Markdown transcript.
+ * @param {object|null} trigger
+ * @returns {string}
+ */
+function describeTrigger(trigger) {
+  if (!trigger) return 'unknown trigger';
+  const reason = trigger.reason.replace(/_/g, ' ');
+  return trigger.phrase ? `${reason} "${trigger.phrase}"` : reason;
+}
+
+/**
+ * Renders exchanges as a Markdown transcript, grouped by day.
+ * @param {string} uid - The Omi user's unique ID
+ * @param {Array<object>} exchanges - Oldest first
+ * @returns {string}
+ */
+function toMarkdown(uid, exchanges) {
+  const lines = [`# Conversation history for ${uid}`, ''];
+  if (exchanges.length === 0) lines.push('_No conversations in this period._', '');
+
+  let day = null;
+  for (const exchange of exchanges) {
+    const answeredDay = exchange.answered_at.slice(0, 10);
+    if (answeredDay !== day) {
+      day = answeredDay;
+      lines.push(`## ${day}`, '');
+    }
+
+    const source = exchange.provider === 'local' ?
+      `answered locally (${exchange.model})` :
+      `answered by ${exchange.provider}${exchange.model ? ` (${exchange.model})` : ''}`;
+    lines.push(
+      `### ${exchange.answered_at.slice(11, 19)} UTC`,
+      '',
+      `_Session ${exchange.session_id || 'unknown'} · ${describeTrigger(exchange.trigger)} · ${source}_`,
+      '',
+      `**You:** ${exchange.question}`,
+      '',
+      `**Assistant:** ${exchange.answer}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats an export.
+ * @param {string} uid - The Omi user's unique ID
+ * @param {Array<object>} exchanges - Oldest first
+ * @param {string} format - "json", "ndjson" or "markdown"
+ * @param {object} [meta] - Extra fields for the JSON export, e.g. the range
+ * @returns {{contentType: string, extension: string, body: string}}
+ */
+function formatExport(uid, exchanges, format, meta = {}) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let body;
+
+  if (format === 'ndjson') {
+    body = exchanges.map(exchange => JSON.stringify(exchange)).join('\n') + (exchanges.length > 0 ? '\n' : '');
+  } else if (format === 'markdown') {
+    body = toMarkdown(uid, exchanges);
+  } else {
+    body = JSON.stringify({ user_id: uid, ...meta, count: exchanges.length, exchanges }, null, 2);
+  }
+
+  return { contentType, extension, body };
+}
+
+module.exports = {
+  createHistoryStore,
+  parseDateRange,
+  formatExport,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,137 @@
+/**
+ * Spoken arithmetic: "what's 12 times 7", "15 percent of 80", "calculate (3 + 4) * 2".
+ *
+ * Lead-ins ("what's", "calculate") and spoken operators come from the language
+ * tables' intents section. Expressions are parsed with a small precedence-climbing
+ * parser; nothing is passed to eval.
+ */
+
+const { getLanguage } = require('../languages');
+
+/**
+ * Splits an expression into number and operator tokens.
+ * @param {string} expression
+ * @returns {Array<string|number>|null} Tokens, or null if something else is in there
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(\d+(?:\.\d+)?|\.\d+|[-+*/^%()])/y;
+  let match;
+
+  while (pattern.lastIndex < expression.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(expression);
+    if (!match) {
+      return expression.slice(start).trim() === '' ? tokens : null;
+    }
+    tokens.push(/[\d.]/.test(match[1][0]) ? parseFloat(match[1]) : match[1]);
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluates tokens with the usual precedence; "a % b" means a percent of b.
+ * @param {Array<string|number>} tokens
+ * @returns {number}
+ */
+function evaluate(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  function primary() {
+    const token = next();
+    if (typeof token === 'number') return token;
+    if (token === '-') return -primary();
+    if (token === '(') {
+      const value = expression();
+      if (next() !== ')') throw new Error('Unbalanced parentheses');
+      return value;
+    }
+    throw new Error('Unexpected token');
+  }
+
+  function power() {
+    const base = primary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, power());
+    }
+    return base;
+  }
+
+  function term() {
+    let value = power();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = power();
+      if (operator === '*') value *= right;
+      if (operator === '%') value = (value / 100) * right;
+      if (operator === '/') {
+        if (right === 0) throw new RangeError('Division by zero');
+        value /= right;
+      }
+    }
+    return value;
+  }
+
+  function expression() {
+    let value = term();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + term() : value - term();
+    }
+    return value;
+  }
+
+  const result = expression();
+  if (position !== tokens.length) throw new Error('Unexpected token');
+  return result;
+}
+
+/**
+ * Formats a result without floating point noise.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return String(parseFloat(value.toPrecision(12)));
+}
+
+/**
+ * @param {string} question - The user's question
+ * @param {object} [context]
+ * @param {object} [context.language] - Language table of the question (default English)
+ * @returns {string|null} Answer, or null if this is not a calculation
+ */
+function answerArithmetic(question, { language = getLanguage() } = {}) {
+  const { intentPatterns, replies } = language;
+  const phrase = question.trim().replace(/^[¿¡]+/, '').replace(/[?.!]+$/, '');
+  const spoken = phrase.replace(intentPatterns.calculate, '');
+  const expression = spoken
+    .replace(/,(?=\d{3})/g, '')
+    .replace(intentPatterns.operator, operator => intentPatterns.operators.get(operator.toLowerCase().replace(/\s+/g, ' ')));
+
+  const tokens = tokenize(expression);
+  // Needs at least one operator - a bare number is not a calculation
+  if (!tokens || tokens.length < 3 || !tokens.some(token => typeof token === 'string' && token !== '(' && token !== ')')) {
+    return null;
+  }
+
+  try {
+    const result = evaluate(tokens);
+    if (!Number.isFinite(result)) return null;
+    return replies.calculation(spoken, formatNumber(result));
+  } catch (error) {
+    if (error instanceof RangeError) return replies.divideByZero;
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'arithmetic',
+  answer: answerArithmetic,
+  evaluate,
+  tokenize
+};
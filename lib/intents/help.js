@@ -0,0 +1,22 @@
+/**
+ * "Hey Omi, help" and similar requests for instructions (the language tables'
+ * intents.help phrases).
+ */
+
+const { getLanguage } = require('../languages');
+
+/**
+ * @param {string} question - The user's question
+ * @param {object} context
+ * @param {string} context.helpText - The help message to give
+ * @param {object} [context.language] - Language table of the question (default English)
+ * @returns {string|null} Help text, or null if the user is asking something else
+ */
+function answerHelp(question, { helpText, language = getLanguage() }) {
+  return language.intentPatterns.help.test(question.trim()) ? helpText : null;
+}
+
+module.exports = {
+  name: 'help',
+  answer: answerHelp
+};
@@ -0,0 +1,47 @@
+/**
+ * Intent router: deterministic fast paths in front of the LLM.
+ *
+ * Each handler is { name, answer(question, context) } and returns an answer
+ * string or null. Handlers are tried in order; the first answer wins. Only
+ * questions no handler recognises are sent to the model.
+ *
+ * context: { now: Date, timezone: string, helpText: string }
+ */
+
+const time = require('./time');
+const arithmetic = require('./arithmetic');
+const units = require('./units');
+const help = require('./help');
+
+const DEFAULT_HANDLERS = [help, time, units, arithmetic];
+
+/**
+ * Creates an intent router.
+ * @param {Array<object>} [handlers] - Handlers in priority order
+ * @returns {object} Router with route(question, context)
+ */
+function createIntentRouter(handlers = DEFAULT_HANDLERS) {
+  /**
+   * @param {string} question - The extracted question
+   * @param {object} context - Passed to each handler
+   * @returns {{intent: string, text: string}|null} Local answer, or null to use the LLM
+   */
+  function route(question, context) {
+    for (const handler of handlers) {
+      const text = handler.answer(question, context);
+      if (text) return { intent: handler.name, text };
+    }
+    return null;
+  }
+
+  return {
+    route,
+    intents: handlers.map(handler => handler.name)
+  };
+}
+
+module.exports = {
+  createIntentRouter,
+  DEFAULT_HANDLERS,
+  handlers: { time, arithmetic, units, help }
+};
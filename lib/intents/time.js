@@ -0,0 +1,49 @@
+/**
+ * Time and date questions answered from the server clock in the user's timezone.
+ *
+ * Only whole questions count (see the language tables' intents.time and
+ * intents.date): "what is the time complexity of quicksort" or "what's today's
+ * weather like" are for the model, and so is "what time is it in Tokyo", which
+ * needs a place lookup.
+ */
+
+const { getLanguage } = require('../languages');
+
+/**
+ * @param {string} question - The user's question
+ * @param {object} context
+ * @param {Date} context.now - Current time
+ * @param {string} context.timezone - IANA timezone, e.g. "Australia/Sydney"
+ * @param {object} [context.language] - Language table of the question (default English)
+ * @returns {string|null} Answer, or null if this is not a time/date question
+ */
+function answerTimeOrDate(question, { now, timezone, language = getLanguage() }) {
+  const { intentPatterns, locale, replies } = language;
+  const asksTime = intentPatterns.time.test(question.trim());
+  const asksDate = intentPatterns.date.test(question.trim());
+
+  if (!asksTime && !asksDate) return null;
+
+  if (asksTime) {
+    const time = new Intl.DateTimeFormat(locale, {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: timezone
+    }).format(now);
+    return replies.time(time);
+  }
+
+  const date = new Intl.DateTimeFormat(locale, {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: timezone
+  }).format(now);
+  return replies.date(date);
+}
+
+module.exports = {
+  name: 'time',
+  answer: answerTimeOrDate
+};
@@ -0,0 +1,152 @@
+/**
+ * Unit conversions: "convert 5 miles to km", "how many feet in 3 meters",
+ * "100 fahrenheit in celsius". Currencies are deliberately not supported -
+ * they need live rates, which the model's web search can provide.
+ *
+ * Unit names are English, so only languages whose table has intents.convert
+ * phrasing get local conversions; the rest go to the model.
+ */
+
+const { getLanguage } = require('../languages');
+
+// Factors to the base unit of each dimension (metre, kilogram, litre, m/s, second)
+const UNITS = {
+  length: {
+    metre: { factor: 1, aliases: ['m', 'meter', 'meters', 'metre', 'metres'] },
+    kilometre: { factor: 1000, aliases: ['km', 'kms', 'kilometer', 'kilometers', 'kilometre', 'kilometres'] },
+    centimetre: { factor: 0.01, aliases: ['cm', 'centimeter', 'centimeters', 'centimetre', 'centimetres'] },
+    millimetre: { factor: 0.001, aliases: ['mm', 'millimeter', 'millimeters', 'millimetre', 'millimetres'] },
+    mile: { factor: 1609.344, aliases: ['mi', 'mile', 'miles'] },
+    yard: { factor: 0.9144, aliases: ['yd', 'yds', 'yard', 'yards'] },
+    foot: { factor: 0.3048, aliases: ['ft', 'foot', 'feet'] },
+    inch: { factor: 0.0254, aliases: ['in', 'inch', 'inches'] }
+  },
+  mass: {
+    kilogram: { factor: 1, aliases: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+    gram: { factor: 0.001, aliases: ['g', 'gram', 'grams'] },
+    milligram: { factor: 0.000001, aliases: ['mg', 'milligram', 'milligrams'] },
+    pound: { factor: 0.45359237, aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+    ounce: { factor: 0.028349523125, aliases: ['oz', 'ounce', 'ounces'] },
+    stone: { factor: 6.35029318, aliases: ['st', 'stone', 'stones'] }
+  },
+  volume: {
+    litre: { factor: 1, aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+    millilitre: { factor: 0.001, aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+    gallon: { factor: 3.785411784, aliases: ['gal', 'gallon', 'gallons'] },
+    quart: { factor: 0.946352946, aliases: ['qt', 'quart', 'quarts'] },
+    pint: { factor: 0.473176473, aliases: ['pt', 'pint', 'pints'] },
+    cup: { factor: 0.2365882365, aliases: ['cup', 'cups'] },
+    'fluid ounce': { factor: 0.0295735295625, aliases: ['fl oz', 'floz', 'fluid ounce', 'fluid ounces'] },
+    tablespoon: { factor: 0.01478676478125, aliases: ['tbsp', 'tablespoon', 'tablespoons'] },
+    teaspoon: { factor: 0.00492892159375, aliases: ['tsp', 'teaspoon', 'teaspoons'] }
+  },
+  speed: {
+    'metre per second': { factor: 1, aliases: ['m/s', 'meters per second', 'metres per second'] },
+    'kilometre per hour': { factor: 1000 / 3600, aliases: ['km/h', 'kmh', 'kph', 'kilometers per hour', 'kilometres per hour'] },
+    'mile per hour': { factor: 0.44704, aliases: ['mph', 'miles per hour'] },
+    knot: { factor: 0.514444, aliases: ['knot', 'knots', 'kn'] }
+  },
+  time: {
+    second: { factor: 1, aliases: ['s', 'sec', 'secs', 'second', 'seconds'] },
+    minute: { factor: 60, aliases: ['min', 'mins', 'minute', 'minutes'] },
+    hour: { factor: 3600, aliases: ['h', 'hr', 'hrs', 'hour', 'hours'] },
+    day: { factor: 86400, aliases: ['day', 'days'] },
+    week: { factor: 604800, aliases: ['week', 'weeks'] }
+  }
+};
+
+// Temperatures are offsets, not factors, so they are converted via Celsius
+const TEMPERATURES = {
+  celsius: { aliases: ['c', '°c', 'celsius', 'centigrade', 'degrees celsius'], toC: v => v, fromC: v => v },
+  fahrenheit: { aliases: ['f', '°f', 'fahrenheit', 'degrees fahrenheit'], toC: v => (v - 32) * 5 / 9, fromC: v => v * 9 / 5 + 32 },
+  kelvin: { aliases: ['k', 'kelvin', 'kelvins'], toC: v => v - 273.15, fromC: v => v + 273.15 }
+};
+
+const LOOKUP = new Map();
+for (const [dimension, units] of Object.entries(UNITS)) {
+  for (const [name, unit] of Object.entries(units)) {
+    for (const alias of unit.aliases) LOOKUP.set(alias, { dimension, name, factor: unit.factor });
+  }
+}
+for (const [name, unit] of Object.entries(TEMPERATURES)) {
+  for (const alias of unit.aliases) LOOKUP.set(alias, { dimension: 'temperature', name, ...unit });
+}
+
+
+function findUnit(text) {
+  return LOOKUP.get(text.trim().toLowerCase()) || null;
+}
+
+function formatNumber(value, locale) {
+  const rounded = Math.abs(value) >= 100 ? Math.round(value * 10) / 10 : parseFloat(value.toPrecision(4));
+  return rounded.toLocaleString(locale, { maximumFractionDigits: 4 });
+}
+
+function plural(unit, value) {
+  if (unit.dimension === 'temperature') return `degrees ${unit.name[0].toUpperCase()}${unit.name.slice(1)}`;
+  if (Math.abs(value) === 1) return unit.name;
+  if (unit.name === 'foot') return 'feet';
+  if (unit.name === 'inch') return 'inches';
+  // "mile per hour" -> "miles per hour"
+  return unit.name.replace(/^(\w+)/, '$1s');
+}
+
+/**
+ * Converts between two units of the same dimension.
+ * @param {number} value
+ * @param {object} from - Unit from the lookup table
+ * @param {object} to - Unit from the lookup table
+ * @returns {number|null} Converted value, or null if the units are incompatible
+ */
+function convert(value, from, to) {
+  if (from.dimension !== to.dimension) return null;
+  if (from.dimension === 'temperature') return to.fromC(from.toC(value));
+  return (value * from.factor) / to.factor;
+}
+
+/**
+ * @param {string} question - The user's question
+ * @param {object} [context]
+ * @param {object} [context.language] - Language table of the question (default English)
+ * @returns {string|null} Answer, or null if this is not a unit conversion
+ */
+function answerConversion(question, { language = getLanguage() } = {}) {
+  const { intentPatterns, locale, replies } = language;
+  if (!intentPatterns.convert) return null;
+
+  const phrase = question.trim().replace(/[?.!]+$/, '');
+  let value;
+  let from;
+  let to;
+
+  const howMany = phrase.match(intentPatterns.howMany);
+  const direct = howMany ? null : phrase.match(intentPatterns.convert);
+
+  if (howMany) {
+    [, to, value, from] = howMany;
+  } else if (direct) {
+    [, value, from, to] = direct;
+  } else {
+    return null;
+  }
+
+  const fromUnit = findUnit(from);
+  const toUnit = findUnit(to);
+  if (!fromUnit || !toUnit) return null;
+
+  const amount = parseFloat(value.replace(/,/g, ''));
+  const result = convert(amount, fromUnit, toUnit);
+  if (result === null || !Number.isFinite(result)) return null;
+
+  return replies.conversion(
+    `${formatNumber(amount, locale)} ${plural(fromUnit, amount)}`,
+    `${formatNumber(result, locale)} ${plural(toUnit, result)}`
+  );
+}
+
+module.exports = {
+  name: 'units',
+  answer: answerConversion,
+  convert,
+  findUnit
+};
@@ -0,0 +1,96 @@
+/**
+ * German.
+ */
+
+module.exports = {
+  code: 'de',
+  name: 'German',
+
+  stopwords: [
+    'der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'du', 'ein', 'eine', 'mit', 'auf',
+    'für', 'was', 'wie', 'wer', 'heute', 'bitte', 'mir', 'mich', 'es', 'gibt',
+    'hat', 'wo', 'wann', 'warum', 'den', 'dem', 'im'
+  ],
+
+  greetings: ['hey', 'hallo', 'hi', 'he', 'ok', 'okay'],
+  weakGreetings: ['hallo', 'hi', 'he', 'ok', 'okay'],
+  bareGreetings: ['hey'],
+  questionStarters: [
+    'was', 'wer', 'wo', 'wann', 'warum', 'wieso', 'wie', 'welche', 'welcher', 'welches',
+    'kannst', 'könntest', 'würdest', 'sag', 'zeig', 'such', 'suche', 'finde', 'erinnere',
+    'stell', 'gib', 'ist', 'sind', 'gibt'
+  ],
+
+  questionWords: [
+    'wer', 'was', 'wo', 'wann', 'warum', 'wie', 'kannst du', 'könntest du', 'würdest du',
+    'sag mir', 'zeig mir', 'finde', 'suche'
+  ],
+  commandWords: [
+    'wetter', 'nachrichten', 'temperatur', 'uhrzeit', 'uhr', 'datum', 'aktuell', 'heute',
+    'jetzt', 'neueste', 'hilf mir', 'ich brauche', 'finde heraus'
+  ],
+
+  helpKeywords: [
+    'hilfe', 'was kannst du', 'wie benutze', 'anleitung', 'wie funktioniert',
+    'welche befehle', 'stichwörter', 'wie rede ich mit dir'
+  ],
+
+  help: name => `Hallo! Ich bin ${name}, dein KI-Assistent. Du kannst ganz natürlich mit mir sprechen! ` +
+    'Frag zum Beispiel "Wie ist das Wetter?" oder "Kannst du nach aktuellen Nachrichten suchen?" ' +
+    'Ich erkenne automatisch, wann du meine Hilfe brauchst.',
+
+  resetCommands: [
+    'fang von vorne an', 'von vorne', 'neu anfangen', 'vergiss das', 'vergiss es', 'vergiss alles',
+    'neues gespräch', 'gespräch zurücksetzen'
+  ],
+  moreCommands: ['mehr', 'weiter', 'mach weiter', 'erzähl mehr', 'und dann'],
+
+  timeSensitiveWords: [
+    'heute', 'morgen', 'gestern', 'jetzt', 'aktuell', 'aktuelle', 'neueste', 'nachrichten', 'wetter',
+    'preis', 'preise', 'uhrzeit', 'datum', 'diese woche', 'diesen monat', 'dieses jahr'
+  ],
+  followUpWords: ['er', 'sie', 'es', 'das', 'dies', 'ihn', 'ihm', 'ihr', 'sein', 'seine', 'noch', 'wieder'],
+  followUpStarters: ['und', 'aber', 'und was ist mit'],
+
+  intents: {
+    lead: ['bitte', 'kannst du mir sagen', 'sag mir', 'weißt du'],
+    trail: ['jetzt', 'gerade', 'bitte'],
+    time: ['wie spät ist es', 'wie viel uhr ist es', 'wieviel uhr ist es', 'welche uhrzeit ist es', 'die uhrzeit'],
+    date: [
+      'welcher tag ist heute', 'welches datum ist heute', 'welches datum haben wir heute',
+      'der wievielte ist heute', 'den wievielten haben wir heute', 'was ist heute für ein tag',
+      'das heutige datum', 'das datum'
+    ],
+    help: [
+      'hilfe', 'was kannst du', 'was kannst du tun', 'wie funktioniert das', 'wie benutze ich dich',
+      'anleitung', 'welche befehle gibt es'
+    ],
+    calculate: ['was ist', 'wie viel ist', 'wieviel ist', 'was ergibt', 'rechne', 'berechne'],
+    operators: {
+      '*': ['multipliert mit', 'mal', 'x', '×'],
+      '/': ['geteilt durch', 'durch', '÷'],
+      '+': ['plus', 'und'],
+      '-': ['minus', 'weniger'],
+      '^': ['hoch'],
+      '^2': ['zum quadrat', 'im quadrat'],
+      '^3': ['hoch drei'],
+      '%': ['prozent von', '% von'],
+      '/100': ['prozent']
+    }
+  },
+
+  locale: 'de-DE',
+  replies: {
+    reset: 'Okay, fangen wir von vorne an.',
+    moreHint: ' (Sag "mehr", um weiterzuhören.)',
+    sources: 'Quellen',
+    deadline: 'Entschuldigung, das hat zu lange gedauert. Bitte versuch es noch einmal.',
+    failure: 'Entschuldigung, ich habe gerade technische Probleme. Bitte versuch es später noch einmal.',
+    quota: period => `Ich habe mein ${period === 'monthly' ? 'monatliches' : 'tägliches'} Limit für KI-Antworten erreicht und kann das gerade nicht nachschlagen. ` +
+      `Die Uhrzeit und schnelle Rechnungen gehen noch. Bitte versuch es ${period === 'monthly' ? 'nächsten Monat' : 'morgen'} wieder.`,
+    time: time => `Es ist ${time} Uhr.`,
+    date: date => `Heute ist ${date}.`,
+    calculation: (expression, result) => `${expression} ist ${result}.`,
+    divideByZero: 'Durch null kann man nicht teilen.'
+  }
+};
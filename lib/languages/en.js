@@ -0,0 +1,129 @@
+/**
+ * English.
+ */
+
+const { DEFAULT_GREETINGS, WEAK_GREETINGS, BARE_GREETINGS, QUESTION_STARTERS } = require('../wakeWord');
+
+module.exports = {
+  code: 'en',
+  name: 'English',
+
+  // Common short words, used to recognise the language of a transcript
+  stopwords: [
+    'the', 'is', 'are', 'what', 'whats', 'how', 'and', 'of', 'to', 'in', 'you', 'it',
+    'this', 'that', 'can', 'with', 'for', 'my', 'me', 'please', 'do', 'does', 'will',
+    'who', 'where', 'when', 'why', 'a', 'i'
+  ],
+
+  // Wake phrases: greeting + assistant name, or a bare greeting opening a question.
+  // Weak greetings are everyday words that only count opening a sentence, before a pause
+  greetings: DEFAULT_GREETINGS,
+  weakGreetings: WEAK_GREETINGS,
+  bareGreetings: BARE_GREETINGS,
+  questionStarters: QUESTION_STARTERS,
+
+  // Natural-language triggers used when there is no wake word
+  questionWords: [
+    'who', 'what', 'where', 'when', 'why', 'how', 'can you', 'could you', 'would you',
+    'tell me', 'show me', 'find', 'search', 'look up'
+  ],
+  commandWords: [
+    'weather', 'news', 'temperature', 'time', 'date', 'current', 'today', 'now', 'latest',
+    'help me', 'i need', 'find out'
+  ],
+
+  helpKeywords: [
+    'help', 'what can you do', 'how to use', 'instructions', 'guide',
+    'what do you do', 'how does this work', 'what are the commands',
+    'keywords', 'trigger words', 'how to talk to you'
+  ],
+
+  /**
+   * @param {string} name - Assistant name
+   * @returns {string} Spoken help message
+   */
+  help: name => `Hi! I'm ${name}, your AI assistant. You can talk to me naturally! ` +
+    'Try asking questions like "What\'s the weather like?" or "Can you search for current news?" ' +
+    'I\'ll automatically detect when you need my help.',
+
+  // Spoken commands: wipe the conversation memory, or hear the rest of a long answer
+  resetCommands: [
+    'start over', 'forget that', 'forget it', 'forget everything', 'new conversation',
+    'reset conversation', 'reset the conversation'
+  ],
+  moreCommands: ['more', 'continue', 'go on', 'keep going', 'tell me more', 'and then'],
+
+  // Answer cache (see lib/answerCache.js): answers to questions with these words go
+  // stale, and with these follow-up words or openers they depend on earlier turns
+  timeSensitiveWords: [
+    'today', 'tonight', 'tomorrow', 'yesterday', 'now', 'currently', 'current', 'latest', 'recent', 'recently',
+    'news', 'headlines', 'weather', 'forecast', 'temperature', 'score', 'scores', 'price', 'prices', 'stock',
+    'stocks', 'time', 'date', 'this week', 'this month', 'this year', 'next week', 'last week', 'open'
+  ],
+  followUpWords: [
+    'it', 'its', 'that', 'this', 'these', 'those', 'he', 'him', 'his', 'she', 'her', 'they', 'them', 'their',
+    'there', 'else', 'more', 'another', 'again'
+  ],
+  followUpStarters: ['and', 'but', 'so', 'what about', 'how about'],
+
+  // Instant answers (see lib/intents). Time, date and help phrases must be the whole
+  // question, give or take a lead-in before and filler words after
+  intents: {
+    lead: ['please', 'can you', 'could you', 'tell me', 'do you know'],
+    trail: ['right now', 'now', 'here', 'please'],
+    time: [
+      'what time is it', 'what time it is', "what's the time", 'whats the time', 'what is the time',
+      "what's the current time", 'whats the current time', 'what is the current time',
+      'the time', 'the current time', 'current time'
+    ],
+    date: [
+      "what's the date", 'whats the date', 'what is the date', "what's the date today",
+      'whats the date today', 'what is the date today', "what's today's date", 'whats todays date',
+      "what is today's date", 'what date is it', 'what day is it', 'what day is today',
+      "what's today", 'whats today', 'what is today', "today's date", 'the date'
+    ],
+    help: [
+      'help', 'help me', 'what can you do', 'what do you do', 'how do i use you', 'how do i use this',
+      'how to use you', 'how to use this', 'how does this work', 'what are the commands',
+      'instructions', 'what are your trigger words', 'what are your wake words'
+    ],
+    // Lead-ins dropped before a calculation, and spoken operators
+    calculate: ["what's", 'whats', 'what is', 'how much is', 'calculate', 'compute', 'work out', 'solve'],
+    operators: {
+      '*': ['multiplied by', 'times', 'x', '×'],
+      '/': ['divided by', 'over', '÷'],
+      '+': ['plus', 'and'],
+      '-': ['minus', 'less'],
+      '^': ['to the power of'],
+      '^2': ['squared'],
+      '^3': ['cubed'],
+      '%': ['percent of', '% of'],
+      '/100': ['percent']
+    },
+    // Unit conversions; unit names are English (see lib/intents/units.js)
+    convert: {
+      lead: ['convert', "what's", 'what is', 'what are', 'how much is', 'how many'],
+      into: ['to', 'in', 'into', 'as'],
+      degrees: ['degrees'],
+      howMany: ['how many'],
+      howManyIn: ['in', 'is', 'are', 'is in', 'are in']
+    }
+  },
+
+  // Fixed replies, and the locale for times and dates in them
+  locale: 'en-US',
+  replies: {
+    reset: "Okay, let's start over.",
+    moreHint: ' (Say "more" to continue.)',
+    sources: 'Sources',
+    deadline: "I'm sorry, that took too long to answer. Please try again.",
+    failure: "I'm sorry, I'm experiencing technical difficulties. Please try again later.",
+    quota: period => `I've reached my ${period} limit for AI answers, so I can't look that up right now. ` +
+      `I can still tell you the time, do quick math or convert units. Please try again ${period === 'monthly' ? 'next month' : 'tomorrow'}.`,
+    time: time => `It's ${time}.`,
+    date: date => `Today is ${date}.`,
+    calculation: (expression, result) => `${expression} is ${result}.`,
+    divideByZero: "You can't divide by zero.",
+    conversion: (from, to) => `${from} is ${to}.`
+  }
+};
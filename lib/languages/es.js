@@ -0,0 +1,96 @@
+/**
+ * Spanish.
+ */
+
+module.exports = {
+  code: 'es',
+  name: 'Spanish',
+
+  stopwords: [
+    'el', 'la', 'los', 'las', 'de', 'del', 'que', 'qué', 'y', 'es', 'en', 'un', 'una',
+    'por', 'para', 'con', 'cómo', 'como', 'está', 'mi', 'me', 'hoy', 'cuál', 'dónde',
+    'quién', 'quien', 'cuándo', 'cuánto', 'se', 'lo', 'al'
+  ],
+
+  greetings: ['hey', 'oye', 'hola', 'ey', 'oiga'],
+  weakGreetings: ['hola', 'ey'],
+  bareGreetings: ['oye', 'hey'],
+  questionStarters: [
+    'qué', 'que', 'quién', 'quien', 'dónde', 'donde', 'cuándo', 'cuando', 'por', 'cómo', 'como',
+    'cuál', 'cual', 'cuánto', 'cuanto', 'puedes', 'podrías', 'podrias', 'dime', 'busca',
+    'recuérdame', 'recuerdame', 'pon', 'hay', 'es', 'está', 'esta'
+  ],
+
+  questionWords: [
+    'quién', 'quien', 'qué', 'dónde', 'donde', 'cuándo', 'cuando', 'por qué', 'cómo', 'como',
+    'puedes', 'podrías', 'dime', 'muéstrame', 'busca', 'encuentra'
+  ],
+  commandWords: [
+    'tiempo', 'clima', 'noticias', 'temperatura', 'hora', 'fecha', 'actual', 'hoy', 'ahora',
+    'últimas', 'ayúdame', 'necesito', 'averigua'
+  ],
+
+  helpKeywords: [
+    'ayuda', 'qué puedes hacer', 'que puedes hacer', 'cómo se usa', 'como se usa', 'instrucciones',
+    'guía', 'cómo funciona', 'como funciona', 'qué comandos', 'palabras clave', 'cómo hablarte'
+  ],
+
+  help: name => `¡Hola! Soy ${name}, tu asistente de IA. ¡Puedes hablarme con naturalidad! ` +
+    'Prueba con preguntas como "¿Qué tiempo hace?" o "¿Puedes buscar las últimas noticias?" ' +
+    'Detectaré automáticamente cuándo necesitas mi ayuda.',
+
+  resetCommands: [
+    'empecemos de nuevo', 'empieza de nuevo', 'empezar de nuevo', 'olvídalo', 'olvidalo', 'olvida eso',
+    'olvida todo', 'nueva conversación', 'nueva conversacion', 'reinicia la conversación'
+  ],
+  moreCommands: ['más', 'mas', 'continúa', 'continua', 'sigue', 'cuéntame más', 'y luego'],
+
+  timeSensitiveWords: [
+    'hoy', 'mañana', 'ayer', 'ahora', 'actual', 'actualmente', 'últimas', 'noticias', 'tiempo', 'clima',
+    'precio', 'precios', 'hora', 'fecha', 'esta semana', 'este mes', 'este año'
+  ],
+  followUpWords: ['él', 'ella', 'eso', 'esto', 'ellos', 'ellas', 'su', 'sus', 'otro', 'otra', 'otra vez'],
+  followUpStarters: ['y', 'pero', 'y qué tal'],
+
+  intents: {
+    lead: ['por favor', 'puedes decirme', 'me puedes decir', 'podrías decirme', 'dime', 'sabes'],
+    trail: ['ahora mismo', 'ahora', 'por favor'],
+    time: ['qué hora es', 'que hora es', 'qué horas son', 'que horas son', 'la hora'],
+    date: [
+      'qué día es hoy', 'que día es hoy', 'que dia es hoy', 'qué fecha es hoy', 'que fecha es hoy',
+      'cuál es la fecha de hoy', 'cual es la fecha de hoy', 'qué día es', 'que día es',
+      'la fecha de hoy', 'la fecha'
+    ],
+    help: [
+      'ayuda', 'qué puedes hacer', 'que puedes hacer', 'cómo funciona', 'como funciona', 'cómo te uso',
+      'como te uso', 'instrucciones', 'cuáles son los comandos', 'cuales son los comandos'
+    ],
+    calculate: ['cuánto es', 'cuanto es', 'cuánto son', 'cuanto son', 'qué es', 'que es', 'calcula'],
+    operators: {
+      '*': ['multiplicado por', 'por', 'x', '×'],
+      '/': ['dividido por', 'dividido entre', 'entre', '÷'],
+      '+': ['más', 'mas', 'y'],
+      '-': ['menos'],
+      '^': ['elevado a'],
+      '^2': ['al cuadrado'],
+      '^3': ['al cubo'],
+      '%': ['por ciento de', '% de'],
+      '/100': ['por ciento']
+    }
+  },
+
+  locale: 'es-ES',
+  replies: {
+    reset: 'Vale, empecemos de nuevo.',
+    moreHint: ' (Di "más" para continuar.)',
+    sources: 'Fuentes',
+    deadline: 'Lo siento, la respuesta ha tardado demasiado. Inténtalo de nuevo.',
+    failure: 'Lo siento, estoy teniendo problemas técnicos. Inténtalo de nuevo más tarde.',
+    quota: period => `He alcanzado mi límite ${period === 'monthly' ? 'mensual' : 'diario'} de respuestas con IA, así que ahora no puedo buscarlo. ` +
+      `Todavía puedo decirte la hora o hacer cálculos rápidos. Inténtalo de nuevo ${period === 'monthly' ? 'el mes que viene' : 'mañana'}.`,
+    time: time => `Son las ${time}.`,
+    date: date => `Hoy es ${date}.`,
+    calculation: (expression, result) => `${expression} es ${result}.`,
+    divideByZero: 'No se puede dividir entre cero.'
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * Language tables for trigger detection, help and answers.
+ *
+ * Each language is one table (see en.js) with its wake-word greetings,
+ * natural-language trigger words, help keywords, help text, spoken commands,
+ * instant-answer phrases, fixed replies and stopwords for detection. To support
+ * a new language, add a table and list it below.
+ */
+
+const TABLES = [
+  require('./en'),
+  require('./es'),
+  require('./de')
+];
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Letters and digits in any script - \b only knows ASCII, which breaks "qué" or "für"
+const WORD = '[\\p{L}\\p{N}]';
+
+/**
+ * Builds a whole-word, case-insensitive pattern for a list of words and phrases.
+ * @param {string[]} phrases
+ * @returns {RegExp}
+ */
+function phrasePattern(phrases) {
+  const alternatives = phrases.map(phrase => phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`(?<!${WORD})(${alternatives.join('|')})(?!${WORD})`, 'iu');
+}
+
+/**
+ * Joins phrases into a regex alternation, longest first, with whole-word edges
+ * where a phrase starts or ends with a letter ("% of" can follow a digit).
+ * @param {string[]} phrases
+ * @returns {string}
+ */
+function alternation(phrases) {
+  return [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(phrase => {
+      const body = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+      const before = /^[\p{L}\p{N}]/u.test(phrase) ? `(?<!${WORD})` : '';
+      const after = /[\p{L}\p{N}]$/u.test(phrase) ? `(?!${WORD})` : '';
+      return `${before}${body}${after}`;
+    })
+    .join('|');
+}
+
+/**
+ * Compiles a table's instant-answer phrases (see lib/intents). Time, date and
+ * help phrases must make up the whole question, with optional lead-ins such as
+ * "can you tell me" before them and filler such as "right now" after them.
+ * @param {object} intents - The table's intents section
+ * @returns {object} Patterns; conversions only when the table has them
+ */
+function intentPatterns(intents) {
+  const lead = `^[\\s¿¡]*(?:(?:${alternation(intents.lead)})\\s+)*`;
+  const trail = `(?:\\s+(?:${alternation(intents.trail)}))*[\\s?.!]*$`;
+  const wholeQuestion = phrases => new RegExp(`${lead}(?:${alternation(phrases)})${trail}`, 'iu');
+
+  const operators = new Map();
+  for (const [symbol, phrases] of Object.entries(intents.operators)) {
+    for (const phrase of phrases) operators.set(phrase.toLowerCase(), symbol);
+  }
+
+  const patterns = {
+    time: wholeQuestion(intents.time),
+    date: wholeQuestion(intents.date),
+    help: wholeQuestion(intents.help),
+    calculate: new RegExp(`^(?:${alternation(intents.calculate)})\\s+`, 'iu'),
+    operator: new RegExp(alternation([...operators.keys()]), 'giu'),
+    operators
+  };
+
+  if (intents.convert) {
+    const { lead: convertLead, into, degrees, howMany, howManyIn } = intents.convert;
+    const number = '(-?[\\d,]*\\.?\\d+)';
+    const unit = '([a-z°/ ]+?)';
+    const degreesWord = `(?:(?:${alternation(degrees)})\\s+)?`;
+    patterns.convert = new RegExp(
+      `^(?:(?:${alternation(convertLead)})\\s+)?${number}\\s*${degreesWord}${unit}\\s+(?:${alternation(into)})\\s+${degreesWord}${unit}$`, 'iu');
+    patterns.howMany = new RegExp(
+      `^(?:${alternation(howMany)})\\s+${unit}\\s+(?:${alternation(howManyIn)})\\s+${number}\\s*${unit}$`, 'iu');
+  }
+  return patterns;
+}
+
+const LANGUAGES = {};
+for (const table of TABLES) {
+  LANGUAGES[table.code] = {
+    ...table,
+    stopwords: new Set(table.stopwords),
+    questionPattern: phrasePattern(table.questionWords),
+    commandPattern: phrasePattern(table.commandWords),
+    resetPattern: new RegExp(`^[\\s,.!?¿¡]*(?:(?:${alternation(table.intents.lead)})\\s+)?(?:${alternation(table.resetCommands)})[\\s,.!?]*$`, 'iu'),
+    morePattern: new RegExp(`^[\\s,.!?¿¡]*(?:${alternation(table.moreCommands)})[\\s,.!?]*$`, 'iu'),
+    timeSensitivePattern: new RegExp(alternation(table.timeSensitiveWords), 'iu'),
+    followUpPattern: new RegExp(`^(?:${alternation(table.followUpStarters)})|${alternation(table.followUpWords)}`, 'iu'),
+    intentPatterns: intentPatterns(table.intents)
+  };
+}
+
+/**
+ * Gets a language table, ignoring any region ("es-MX" -> "es").
+ * @param {string} code - Language code
+ * @returns {object|null} The table, or null if the language is not supported
+ */
+function findLanguage(code) {
+  if (!code || typeof code !== 'string') return null;
+  return LANGUAGES[code.toLowerCase().split(/[-_]/)[0]] || null;
+}
+
+/**
+ * Gets a language table, falling back to English.
+ * @param {string} code - Language code
+ * @returns {object}
+ */
+function getLanguage(code) {
+  return findLanguage(code) || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Works out which supported language a transcript is in. Omi's per-segment
+ * `language` wins when present; otherwise the language whose stopwords occur
+ * most often, if it clearly leads.
+ * @param {Array<{text: string, language?: string}>} segments - Transcript segments
+ * @returns {object|null} Language table, or null when unsure
+ */
+function detectLanguage(segments) {
+  const tagged = segments.map(segment => findLanguage(segment.language)).filter(Boolean);
+  if (tagged.length > 0) return tagged[tagged.length - 1];
+
+  const words = segments
+    .map(segment => segment.text || '')
+    .join(' ')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}']+/gu) || [];
+
+  const scores = Object.values(LANGUAGES)
+    .map(language => ({ language, score: words.filter(word => language.stopwords.has(word)).length }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (best.score >= 2 && best.score > (runnerUp ? runnerUp.score : 0)) {
+    return best.language;
+  }
+  return null;
+}
+
+module.exports = {
+  detectLanguage,
+  getLanguage,
+  findLanguage,
+  LANGUAGES,
+  DEFAULT_LANGUAGE
+};
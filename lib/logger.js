@@ -0,0 +1,150 @@
+/**
+ * Structured JSON logger.
+ *
+ * One JSON object per line: { time, level, msg, request_id, ...fields }.
+ * The request id is picked up automatically from the request being handled
+ * (see withContext), including in timers and promises it started.
+ *
+ * Private data never reaches the logs unless LOG_REDACT=false:
+ * - transcript text, questions and answers are replaced by their length
+ * - uids, session ids and IPs are replaced by a short, stable hash, so one user's
+ *   requests can still be followed without knowing who they are
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Field names whose values are conversation content or identify a user
+const TEXT_FIELDS = new Set(['transcript', 'question', 'answer', 'text', 'message', 'body', 'note', 'summary']);
+const ID_FIELDS = new Set(['uid', 'user_id', 'userId', 'session_id', 'sessionId', 'ip']);
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Stable pseudonym for an id.
+ * @param {string} value
+ * @returns {string} e.g. "id:3f9a1c02"
+ */
+function pseudonymize(value) {
+  return `id:${crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Redacts private fields, recursing into plain objects and arrays.
+ * @param {*} value
+ * @param {string} [key] - Field name the value is stored under
+ * @returns {*}
+ */
+function redact(value, key) {
+  if (value === null || value === undefined) return value;
+  // Error messages and stacks are diagnostics, not conversation content
+  if (key === 'error') return value;
+  if (key && ID_FIELDS.has(key)) return pseudonymize(value);
+  if (key && TEXT_FIELDS.has(key) && typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return value.map(item => redact(item, key));
+  if (typeof value === 'object' && !(value instanceof Error)) {
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field)]));
+  }
+  return value;
+}
+
+/**
+ * Turns an Error into loggable fields.
+ * @param {Error} error
+ * @returns {object}
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Creates a logger.
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level written: debug, info, warn or error
+ * @param {boolean} [options.redact] - Redact transcript text and ids
+ * @param {function(string): void} [options.write] - Line sink
+ * @param {object} [options.bindings] - Fields added to every line
+ * @returns {object} Logger with debug/info/warn/error(msg, fields) and child(bindings)
+ */
+function createLogger({
+  level = 'info',
+  redact: shouldRedact = true,
+  write = line => process.stdout.write(`${line}\n`),
+  bindings = {}
+} = {}) {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  function log(levelName, msg, fields = {}) {
+    if (LEVELS[levelName] < threshold) return;
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...context.getStore(),
+      ...bindings,
+      ...fields
+    };
+    if (entry.error instanceof Error) entry.error = serializeError(entry.error);
+
+    write(JSON.stringify(shouldRedact ? redact(entry) : entry));
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    child: childBindings => createLogger({ level, redact: shouldRedact, write, bindings: { ...bindings, ...childBindings } }),
+    level,
+    redacting: shouldRedact
+  };
+}
+
+/**
+ * Runs a function with fields (such as the request id) attached to every log
+ * line written while it - or anything it starts - runs.
+ * @param {object} fields
+ * @param {function} fn
+ * @returns {*} Whatever fn returns
+ */
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+/**
+ * Express middleware: gives each request an id (X-Request-Id if the caller
+ * sent one), echoes it in the response and adds it to every log line.
+ * @returns {function} Express middleware
+ */
+function requestContext() {
+  return function requestId(req, res, next) {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    withContext({ request_id: req.id }, next);
+  };
+}
+
+// Shared instance, configured from the environment
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  redact: process.env.LOG_REDACT !== 'false'
+});
+
+module.exports = {
+  logger,
+  createLogger,
+  withContext,
+  requestContext,
+  redact,
+  LEVELS
+};
@@ -0,0 +1,134 @@
+/**
+ * Prometheus metrics in the text exposition format, without a client library.
+ *
+ * Counters and histograms are updated as things happen; gauges are read from a
+ * callback when /metrics is scraped, so they always reflect current state.
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30];
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Creates a metrics registry.
+ * @returns {object} Registry with counter, gauge, histogram and render
+ */
+function createMetrics() {
+  const metrics = [];
+
+  /**
+   * @param {string} name - Metric name, e.g. "omi_webhook_requests_total"
+   * @param {string} help - Description
+   * @returns {object} Counter with inc(labels, amount)
+   */
+  function counter(name, help) {
+    const values = new Map(); // label key -> { labels, value }
+
+    const metric = {
+      type: 'counter',
+      name,
+      help,
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+      lines() {
+        return Array.from(values.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {function(): (number|Array<{labels: object, value: number}>)} collect - Reads the current value(s)
+   * @returns {object} Gauge
+   */
+  function gauge(name, help, collect) {
+    const metric = {
+      type: 'gauge',
+      name,
+      help,
+      lines() {
+        const current = collect();
+        const samples = Array.isArray(current) ? current : [{ labels: {}, value: current }];
+        return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {string} name - Metric name, e.g. "omi_llm_request_duration_seconds"
+   * @param {string} help - Description
+   * @param {number[]} [buckets] - Upper bounds, ascending
+   * @returns {object} Histogram with observe(value, labels)
+   */
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // label key -> { labels, counts, sum, count }
+
+    const metric = {
+      type: 'histogram',
+      name,
+      help,
+      observe(value, labels = {}) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+        series.set(key, entry);
+      },
+      lines() {
+        const lines = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} Every metric in the Prometheus text format
+   */
+  function render() {
+    return metrics
+      .map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+      ].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = {
+  createMetrics,
+  DEFAULT_BUCKETS
+};
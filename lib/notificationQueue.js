@@ -0,0 +1,242 @@
+/**
+ * Outbound queue for Omi notifications.
+ *
+ * Answers generated in the background are delivered through this queue rather
+ * than sent directly, so that:
+ * - a user who hit the hourly notification limit gets the answer later instead of never
+ * - 5xx errors from the Omi API are retried with exponential backoff
+ * - 429 responses defer every pending notification for that user
+ */
+
+const { logger } = require('./logger');
+
+const STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * Server errors and network failures (ECONNRESET, ETIMEDOUT, ...) are worth retrying;
+ * configuration and other client errors are not.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.statusCode) return error.statusCode >= 500;
+  return Boolean(error.code);
+}
+
+/**
+ * Creates a notification queue.
+ * @param {object} options
+ * @param {function(string, string): Promise<object>} options.send - Sends one notification (uid, message)
+ * @param {number} [options.maxRetries] - Retries for 5xx and network errors before giving up
+ * @param {number} [options.retryBaseDelayMs] - First retry delay, doubled on each attempt
+ * @param {number} [options.rateLimitDelayMs] - Deferral used when a 429 carries no retry hint
+ * @param {number} [options.historySize] - Finished items kept for the queue state
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Notification queue
+ */
+function createNotificationQueue({
+  send,
+  maxRetries = 3,
+  retryBaseDelayMs = 2000,
+  rateLimitDelayMs = 60 * 1000,
+  historySize = 50,
+  now = Date.now
+}) {
+  const pending = [];
+  const finished = [];
+  const stats = { enqueued: 0, delivered: 0, failed: 0, retried: 0, deferred: 0 };
+  let nextId = 1;
+  let timer = null;
+  let running = null; // the current processDue run
+  let stopped = false;
+
+  /**
+   * Adds a notification to the queue.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} message - The notification text
+   * @returns {object} The queued item
+   */
+  function enqueue(uid, message) {
+    const item = {
+      id: nextId++,
+      uid,
+      message,
+      status: STATUS.PENDING,
+      attempts: 0,
+      createdAt: now(),
+      nextAttemptAt: now(),
+      lastError: null
+    };
+
+    pending.push(item);
+    stats.enqueued++;
+    schedule();
+    return item;
+  }
+
+  function finish(item, status) {
+    item.status = status;
+    pending.splice(pending.indexOf(item), 1);
+    finished.push(item);
+    if (finished.length > historySize) finished.shift();
+  }
+
+  /**
+   * Pushes back every pending notification for a user so they stay in order.
+   */
+  function deferUser(uid, until) {
+    for (const item of pending) {
+      if (item.uid === uid && item.nextAttemptAt < until) {
+        item.nextAttemptAt = until;
+      }
+    }
+  }
+
+  async function attempt(item) {
+    item.status = STATUS.SENDING;
+    item.attempts++;
+
+    try {
+      await send(item.uid, item.message);
+      stats.delivered++;
+      finish(item, STATUS.DELIVERED);
+      logger.info('📤 Delivered queued notification', { id: item.id, uid: item.uid });
+    } catch (error) {
+      item.lastError = error.message;
+      item.status = STATUS.PENDING;
+
+      if (error.statusCode === 429) {
+        // Rate limited: never drop, wait until the window has room again
+        const delay = error.retryAfterMs || rateLimitDelayMs;
+        item.attempts--;
+        stats.deferred++;
+        deferUser(item.uid, now() + delay);
+        logger.warn('⏳ Notification deferred (rate limited)', { id: item.id, delay_seconds: Math.ceil(delay / 1000) });
+      } else if (isRetryable(error) && item.attempts <= maxRetries) {
+        const delay = retryBaseDelayMs * Math.pow(2, item.attempts - 1);
+        stats.retried++;
+        item.nextAttemptAt = now() + delay;
+        logger.warn('🔁 Notification failed, retrying', { id: item.id, error: error.message, delay_seconds: Math.ceil(delay / 1000) });
+      } else {
+        stats.failed++;
+        finish(item, STATUS.FAILED);
+        logger.error('❌ Notification failed permanently', { id: item.id, error: error.message });
+      }
+    }
+  }
+
+  async function sendDue() {
+    let due;
+    while (!stopped && (due = pending.find(item => item.nextAttemptAt <= now()))) {
+      await attempt(due);
+    }
+  }
+
+  /**
+   * Sends everything that is due, joining a run that is already in progress.
+   * @returns {Promise<void>}
+   */
+  function processDue() {
+    if (stopped) return Promise.resolve();
+    if (!running) {
+      running = sendDue().finally(() => {
+        running = null;
+        schedule();
+      });
+    }
+    return running;
+  }
+
+  /**
+   * Arms the timer for the earliest pending notification.
+   */
+  function schedule() {
+    if (stopped || running) return;
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (pending.length === 0) return;
+
+    const nextAt = Math.min(...pending.map(item => item.nextAttemptAt));
+    timer = setTimeout(processDue, Math.max(0, nextAt - now()));
+  }
+
+  /**
+   * Returns a snapshot of the queue for monitoring.
+   * @param {string} [uid] - Only include items for this user
+   * @returns {object} Queue state
+   */
+  function getState(uid) {
+    const describe = item => ({
+      id: item.id,
+      uid: item.uid,
+      status: item.status,
+      attempts: item.attempts,
+      created_at: new Date(item.createdAt).toISOString(),
+      next_attempt_at: item.status === STATUS.PENDING ? new Date(item.nextAttemptAt).toISOString() : null,
+      last_error: item.lastError
+    });
+    const matches = item => !uid || item.uid === uid;
+
+    return {
+      pending: pending.filter(matches).length,
+      stats: { ...stats },
+      items: pending.filter(matches).map(describe),
+      recent: finished.filter(matches).map(describe)
+    };
+  }
+
+  /**
+   * Drops a user's pending notifications and their delivery history, e.g. when
+   * the user's data is deleted. One already being sent can't be recalled.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {number} Number of pending notifications cancelled
+   */
+  function cancelForUser(uid) {
+    const cancelled = pending.filter(item => item.uid === uid && item.status !== STATUS.SENDING);
+    for (const item of cancelled) pending.splice(pending.indexOf(item), 1);
+    for (let i = finished.length - 1; i >= 0; i--) {
+      if (finished[i].uid === uid) finished.splice(i, 1);
+    }
+    schedule();
+    return cancelled.length;
+  }
+
+  /**
+   * Sends every notification that is already due, e.g. before shutting down.
+   * Items waiting for a retry or a rate-limit window stay pending.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    return processDue();
+  }
+
+  /**
+   * Stops delivering; pending notifications stay in memory.
+   */
+  function stop() {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+    timer = null;
+  }
+
+  return {
+    enqueue,
+    getState,
+    cancelForUser,
+    flush,
+    stop,
+    get size() {
+      return pending.length;
+    }
+  };
+}
+
+module.exports = {
+  createNotificationQueue,
+  STATUS
+};
@@ -0,0 +1,75 @@
+/**
+ * Client for the Omi integrations API (direct notifications).
+ *
+ * The hourly per-user notification limit is enforced by the caller; this only
+ * talks to the API and turns its responses into results or errors.
+ */
+
+const https = require('https');
+
+/**
+ * Creates an Omi API client.
+ * @param {object} options
+ * @param {string} options.appId - Omi App ID
+ * @param {string} options.appSecret - Omi App Secret
+ * @param {string} [options.hostname] - API host
+ * @returns {object} Client with sendNotification(uid, message)
+ */
+function createOmiClient({ appId, appSecret, hostname = 'api.omi.me' }) {
+  /**
+   * Sends a direct notification to an Omi user.
+   * @param {string} userId - The Omi user's unique ID
+   * @param {string} message - The notification text
+   * @returns {Promise<object>} Response data
+   * @throws {Error} With statusCode (and retryAfterMs on 429) when the API refuses it
+   */
+  async function sendNotification(userId, message) {
+    if (!appId) throw new Error("OMI_APP_ID not set");
+    if (!appSecret) throw new Error("OMI_APP_SECRET not set");
+
+    const options = {
+      hostname,
+      path: `/v2/integrations/${appId}/notification?uid=${encodeURIComponent(userId)}&message=${encodeURIComponent(message)}`,
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${appSecret}`,
+        'Content-Type': 'application/json',
+        'Content-Length': 0
+      }
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = https.request(options, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            try {
+              resolve(data ? JSON.parse(data) : {});
+            } catch (e) {
+              resolve({ raw: data });
+            }
+          } else if (res.statusCode === 429) {
+            const error = new Error('Rate limit exceeded by the Omi API.');
+            error.statusCode = 429;
+            const retryAfter = parseInt(res.headers['retry-after'], 10);
+            if (retryAfter) error.retryAfterMs = retryAfter * 1000;
+            reject(error);
+          } else {
+            const error = new Error(`API Error (${res.statusCode}): ${data}`);
+            error.statusCode = res.statusCode;
+            reject(error);
+          }
+        });
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  return { sendNotification };
+}
+
+module.exports = {
+  createOmiClient
+};
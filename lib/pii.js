@@ -0,0 +1,170 @@
+/**
+ * Masks personal data before text is sent to an LLM provider.
+ *
+ * Transcripts often pick up more than the question: a phone number read out
+ * nearby, an email address, a street address, a card number. Each detected
+ * value is replaced by a placeholder such as [PHONE_1]; the same value always
+ * gets the same placeholder within one request, so the model can still refer
+ * to it ("I've saved [PHONE_1] as Anna's number").
+ *
+ * Placeholders in the answer are put back before it reaches the user, except
+ * card numbers, which are only ever shown as "card ending 1234".
+ */
+
+const TYPES = ['email', 'card', 'phone', 'address'];
+
+const STREET_SUFFIXES = [
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'lane', 'ln',
+  'drive', 'dr', 'court', 'ct', 'way', 'place', 'pl', 'terrace', 'circle', 'highway', 'hwy'
+];
+// Matches "Street" and "street"
+const SUFFIX = STREET_SUFFIXES.map(suffix => `[${suffix[0].toUpperCase()}${suffix[0]}]${suffix.slice(1)}`).join('|');
+
+// Digits next to a decimal point are part of a number, not a card or phone.
+// Detection order matters: emails and card numbers contain digit runs a phone
+// pattern would also match, so they are masked first.
+const PATTERNS = {
+  email: [
+    /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    // As transcribed from speech: "anna dot smith at example dot com"
+    /\b[a-z0-9]+(?: dot [a-z0-9]+)* at [a-z0-9-]+(?: dot [a-z0-9-]+)* dot (?:com|org|net|edu|gov|io|co|de|uk|es|fr)\b/gi
+  ],
+  card: [/(?<!\w|\d\.)\d(?:[ -]?\d){12,18}(?!\w|\.\d)/g],
+  phone: [/(?<!\w|\d\.)(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,4}(?!\w|\.\d)/g],
+  // House number, capitalised street name, suffix. Drive, way, place and court are
+  // everyday words too, so "in 20 minutes to drive to work" is not an address
+  address: [new RegExp(`(?<![\\p{L}\\p{N}])\\d{1,6}(?:\\s+\\p{Lu}[\\p{L}'-]*){1,3}\\s+(?:${SUFFIX})(?![\\p{L}\\p{N}])\\.?`, 'gu')]
+};
+
+/**
+ * Luhn checksum, so long numbers that are not card numbers are left alone.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Extra checks on a match; returning false leaves it unmasked
+const VALIDATORS = {
+  card: value => passesLuhn(value.replace(/\D/g, '')),
+  phone: value => {
+    const digits = value.replace(/\D/g, '').length;
+    if (digits < 7 || digits > 15) return false;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return false; // ISO date
+    // Shorter numbers split only by spaces or dots are as likely to be years or
+    // quantities ("in 1969 2001"); those need a +, parentheses or dashes
+    return digits >= 10 || /^\+|[()-]/.test(value);
+  }
+};
+
+/**
+ * Starts a redaction for one request. Every text masked through it shares the
+ * same placeholders, so the question, the conversation history and the answer
+ * stay consistent with each other.
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Which kinds of data to mask (default: all)
+ * @returns {object} Redaction with mask(text), unmask(text, options) and counts
+ */
+function createRedaction({ types = TYPES } = {}) {
+  const enabled = TYPES.filter(type => types.includes(type));
+  const byValue = new Map(); // original value -> placeholder
+  const byPlaceholder = new Map(); // placeholder -> { type, value }
+  const counts = {};
+
+  function placeholderFor(type, value) {
+    if (!byValue.has(value)) {
+      counts[type] = (counts[type] || 0) + 1;
+      const placeholder = `[${type.toUpperCase()}_${counts[type]}]`;
+      byValue.set(value, placeholder);
+      byPlaceholder.set(placeholder, { type, value });
+    }
+    return byValue.get(value);
+  }
+
+  /**
+   * Replaces personal data with placeholders.
+   * @param {string} text
+   * @returns {string}
+   */
+  function mask(text) {
+    if (!text) return text;
+
+    let masked = text;
+    for (const type of enabled) {
+      for (const pattern of PATTERNS[type]) {
+        masked = masked.replace(pattern, value => {
+          if (VALIDATORS[type] && !VALIDATORS[type](value)) return value;
+          return placeholderFor(type, value);
+        });
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Puts the original values back in place of placeholders.
+   * @param {string} text
+   * @param {object} [options]
+   * @param {boolean} [options.full] - Restore card numbers too (for local tools, never for display)
+   * @returns {string}
+   */
+  function unmask(text, { full = false } = {}) {
+    if (!text || byPlaceholder.size === 0) return text;
+
+    return text.replace(/\[(EMAIL|CARD|PHONE|ADDRESS)_\d+\]/g, placeholder => {
+      const original = byPlaceholder.get(placeholder);
+      if (!original) return placeholder;
+      if (original.type === 'card' && !full) {
+        return `card ending ${original.value.replace(/\D/g, '').slice(-4)}`;
+      }
+      return original.value;
+    });
+  }
+
+  return {
+    mask,
+    unmask,
+    counts,
+    get total() {
+      return byPlaceholder.size;
+    }
+  };
+}
+
+/**
+ * Wraps request tools so handlers get the real values and the model only ever
+ * sees placeholders in their results.
+ * @param {object|null} tools - { definitions, execute(name, args) } from the tool registry
+ * @param {object} redaction - From createRedaction
+ * @returns {object|null}
+ */
+function redactTools(tools, redaction) {
+  if (!tools) return tools;
+  return {
+    definitions: tools.definitions,
+    actions: tools.actions,
+    execute: async (name, args) => {
+      // Providers pass arguments as the model's JSON string, or already parsed
+      const realArgs = typeof args === 'string' ?
+        redaction.unmask(args, { full: true }) :
+        JSON.parse(redaction.unmask(JSON.stringify(args), { full: true }));
+      return redaction.mask(await tools.execute(name, realArgs));
+    }
+  };
+}
+
+module.exports = {
+  createRedaction,
+  redactTools,
+  PII_TYPES: TYPES
+};
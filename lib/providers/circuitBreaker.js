@@ -0,0 +1,99 @@
+/**
+ * Circuit breaker for one provider.
+ *
+ * After `failureThreshold` failures in a row the circuit opens and the chain
+ * skips the provider for `cooldownMs`, instead of spending part of every
+ * request's deadline on a provider that is down. After the cool-down a single
+ * request is let through (half-open): success closes the circuit, failure
+ * opens it for another cool-down.
+ */
+
+/**
+ * Creates a circuit breaker.
+ * @param {object} [options]
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit; 0 never opens it
+ * @param {number} [options.cooldownMs] - How long an open circuit skips the provider
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Breaker with allow(), success(), failure(), release() and state
+ */
+function createCircuitBreaker({ failureThreshold = 3, cooldownMs = 60 * 1000, now = Date.now } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  /**
+   * Whether a request may use the provider now. Moves an open circuit to
+   * half-open once the cool-down has passed, letting one trial request through.
+   * @returns {boolean}
+   */
+  function allow() {
+    if (state === 'closed') return true;
+    if (state === 'open' && now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+    if (state === 'half_open' && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Records a successful call.
+   * @returns {boolean} Whether this closed an open circuit
+   */
+  function success() {
+    const closed = state !== 'closed';
+    state = 'closed';
+    failures = 0;
+    trialInFlight = false;
+    return closed;
+  }
+
+  /**
+   * Records a failed call.
+   * @returns {boolean} Whether this opened the circuit
+   */
+  function failure() {
+    failures++;
+    trialInFlight = false;
+    if (failureThreshold === 0) return false;
+    if (state === 'half_open' || (state === 'closed' && failures >= failureThreshold)) {
+      state = 'open';
+      openedAt = now();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Records a call that ended without telling anything about the provider, such
+   * as one the caller aborted. Lets the next request be the half-open trial.
+   */
+  function release() {
+    trialInFlight = false;
+  }
+
+  return {
+    allow,
+    success,
+    failure,
+    release,
+    get state() {
+      return state;
+    },
+    get failures() {
+      return failures;
+    },
+    /** When an open circuit will let a trial request through (ms), or null */
+    get retryAt() {
+      return state === 'open' ? openedAt + cooldownMs : null;
+    }
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
@@ -0,0 +1,231 @@
+/**
+ * LLM provider layer.
+ *
+ * A provider turns a question (plus conversation history) into an answer.
+ * Providers are tried in the configured order until one succeeds:
+ *
+ *   LLM_PROVIDERS=openai-responses,openai-chat
+ *
+ * Available providers:
+ * - openai-responses: OpenAI Responses API with web search
+ * - openai-chat: OpenAI chat completions
+ * - openai-compatible: chat completions against any OpenAI-compatible base URL
+ * - mock: deterministic offline answers
+ *
+ * Every provider but the last sits behind a circuit breaker: after repeated
+ * failures the chain skips it for a cool-down period (see circuitBreaker.js).
+ */
+
+const OpenAI = require('openai');
+const { createOpenAIResponsesProvider } = require('./openaiResponses');
+const { createOpenAIChatProvider } = require('./openaiChat');
+const { createMockProvider } = require('./mock');
+const { createCircuitBreaker } = require('./circuitBreaker');
+const { logger } = require('../logger');
+
+const DEFAULT_PROVIDER_ORDER = ['openai-responses', 'openai-chat'];
+
+/**
+ * Builds a provider from environment-style configuration.
+ * @param {string} name - Provider name
+ * @param {object} env - Configuration values (usually process.env)
+ * @param {object} [clients] - Pre-built clients, keyed by "openai" and "compatible"
+ * @returns {object} Provider
+ */
+function createProvider(name, env, clients = {}) {
+  const openaiClient = () => clients.openai || (clients.openai = new OpenAI({ apiKey: env.OPENAI_KEY }));
+
+  switch (name) {
+    case 'openai-responses':
+      return createOpenAIResponsesProvider({
+        client: openaiClient(),
+        model: env.OPENAI_RESPONSES_MODEL || 'gpt-4o',
+        timeoutMs: parseInt(env.OPENAI_RESPONSES_TIMEOUT_MS, 10) || 20000,
+        webSearch: env.OPENAI_WEB_SEARCH !== 'false'
+      });
+
+    case 'openai-chat':
+      return createOpenAIChatProvider({
+        name,
+        client: openaiClient(),
+        model: env.OPENAI_CHAT_MODEL || 'gpt-4o',
+        timeoutMs: parseInt(env.OPENAI_CHAT_TIMEOUT_MS, 10) || 15000
+      });
+
+    case 'openai-compatible':
+      if (!env.COMPATIBLE_BASE_URL) throw new Error('COMPATIBLE_BASE_URL not set');
+      if (!env.COMPATIBLE_MODEL) throw new Error('COMPATIBLE_MODEL not set');
+      return createOpenAIChatProvider({
+        name,
+        client: clients.compatible || new OpenAI({
+          apiKey: env.COMPATIBLE_API_KEY || 'not-needed',
+          baseURL: env.COMPATIBLE_BASE_URL
+        }),
+        model: env.COMPATIBLE_MODEL,
+        timeoutMs: parseInt(env.COMPATIBLE_TIMEOUT_MS, 10) || 30000
+      });
+
+    case 'mock':
+      return createMockProvider({
+        response: env.MOCK_RESPONSE,
+        failWith: env.MOCK_FAIL_WITH,
+        latencyMs: parseInt(env.MOCK_LATENCY_MS, 10) || 0
+      });
+
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Creates a chain that tries each provider in turn.
+ * @param {Array<object>} providers - Providers in fallback order
+ * @param {object} [options]
+ * @param {number} [options.circuitFailureThreshold] - Consecutive failures that make the chain skip a provider; 0 disables
+ * @param {number} [options.circuitCooldownMs] - How long a failing provider is skipped
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Provider chain
+ */
+function createProviderChain(providers, { circuitFailureThreshold = 3, circuitCooldownMs = 60 * 1000, now = Date.now } = {}) {
+  if (providers.length === 0) throw new Error('At least one LLM provider is required');
+
+  // The last provider is always tried, so a request never fails without an attempt
+  const breakers = new Map(providers.slice(0, -1).map(provider => [provider, createCircuitBreaker({
+    failureThreshold: circuitFailureThreshold,
+    cooldownMs: circuitCooldownMs,
+    now
+  })]));
+
+  /**
+   * Generates an answer with the first provider that succeeds.
+   * @param {object} request - { question, history, instructions, tools, webSearch, signal }
+   * @returns {Promise<object>} { text, usage, provider, model, fallbackUsed, latencyMs, failures }
+   * @throws {Error} When every provider fails; `error.failures` lists each failure
+   *
+   * Each failure is { provider, model, error }; `error.usage` is set when the
+   * provider had already used tokens, which still count towards quotas.
+   */
+  async function generate(request) {
+    const failures = [];
+
+    for (const provider of providers) {
+      if (request.signal && request.signal.aborted) break;
+
+      const breaker = breakers.get(provider);
+      if (breaker && !breaker.allow()) {
+        logger.debug('⏭️ Skipping LLM provider with an open circuit', { provider: provider.name });
+        continue;
+      }
+
+      const startedAt = Date.now();
+      try {
+        const result = await provider.generate(request);
+        if (!result.text) {
+          const error = new Error('Empty response');
+          error.usage = result.usage;
+          throw error;
+        }
+
+        if (breaker && breaker.success()) {
+          logger.info('🟢 LLM provider circuit closed', { provider: provider.name });
+        }
+        return {
+          ...result,
+          provider: provider.name,
+          model: provider.model,
+          fallbackUsed: provider !== providers[0],
+          latencyMs: Date.now() - startedAt,
+          failures
+        };
+      } catch (error) {
+        logger.error('❌ LLM provider error', { provider: provider.name, error: error.message });
+        failures.push({ provider: provider.name, model: provider.model, error });
+        // A request that ran out of its own deadline says nothing about the provider
+        if (breaker && request.signal && request.signal.aborted) {
+          breaker.release();
+        } else if (breaker && breaker.failure()) {
+          logger.warn('🔴 LLM provider circuit opened', {
+            provider: provider.name,
+            failures: breaker.failures,
+            cooldown_ms: circuitCooldownMs
+          });
+        }
+
+        // A reminder or note that was already created must not be created again
+        // by the next provider; report what was done instead
+        const actions = request.tools && request.tools.actions ? request.tools.actions() : [];
+        if (actions.length > 0) {
+          logger.warn('⚠️ LLM provider failed after running tools, not falling back', {
+            provider: provider.name,
+            tools: actions.map(action => action.tool)
+          });
+          return {
+            text: [...new Set(actions.map(action => action.confirmation))].join(' '),
+            usage: { inputTokens: 0, outputTokens: 0, webSearchCalls: 0, ...error.usage, toolCalls: actions.length },
+            provider: provider.name,
+            model: provider.model,
+            fallbackUsed: provider !== providers[0],
+            latencyMs: Date.now() - startedAt,
+            // This provider's usage is reported above
+            failures: failures.slice(0, -1)
+          };
+        }
+      }
+    }
+
+    const error = new Error(`All LLM providers failed: ${failures.map(f => `${f.provider} (${f.error.message})`).join(', ')}`);
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Describes the chain for the health endpoint.
+   * @returns {Array<object>}
+   */
+  function describe() {
+    return providers.map(provider => {
+      const breaker = breakers.get(provider);
+      return {
+        name: provider.name,
+        model: provider.model,
+        timeout_ms: provider.timeoutMs,
+        web_search: provider.webSearch,
+        circuit: breaker ? breaker.state : 'always_tried',
+        ...(breaker && breaker.retryAt && { circuit_retry_at: new Date(breaker.retryAt).toISOString() })
+      };
+    });
+  }
+
+  return {
+    generate,
+    describe,
+    providers
+  };
+}
+
+/**
+ * Builds the provider chain from configuration.
+ * @param {object} env - Configuration values (usually process.env)
+ * @param {object} [clients] - Pre-built clients, keyed by "openai" and "compatible"
+ * @returns {object} Provider chain
+ */
+function createProviderChainFromEnv(env, clients) {
+  const names = env.LLM_PROVIDERS ?
+    env.LLM_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean) :
+    DEFAULT_PROVIDER_ORDER;
+
+  const circuitFailures = parseInt(env.LLM_CIRCUIT_FAILURES, 10);
+
+  return createProviderChain(names.map(name => createProvider(name, env, clients)), {
+    circuitFailureThreshold: Number.isNaN(circuitFailures) ? 3 : circuitFailures,
+    circuitCooldownMs: (parseInt(env.LLM_CIRCUIT_COOLDOWN_SECONDS, 10) || 60) * 1000
+  });
+}
+
+module.exports = {
+  createProvider,
+  createProviderChain,
+  createProviderChainFromEnv,
+  createMockProvider,
+  DEFAULT_PROVIDER_ORDER
+};
@@ -0,0 +1,71 @@
+/**
+ * Deterministic offline provider for tests and local development.
+ * Never touches the network: the same request always produces the same answer.
+ *
+ * "remind me in N minutes to X" calls the set_reminder tool when tools are
+ * available, so the tool flow can be exercised offline too.
+ */
+
+const REMINDER_PATTERN = /remind me in (\d+) minutes? to (.+?)[.?!]*$/i;
+
+/**
+ * Creates a mock provider.
+ * @param {object} [options]
+ * @param {string} [options.response] - Fixed answer; by default the question is echoed back
+ * @param {string} [options.failWith] - Reject every request with this error message
+ * @param {number} [options.latencyMs] - Simulated response time
+ * @returns {object} Provider
+ */
+function createMockProvider({ response, failWith, latencyMs = 0 } = {}) {
+  return {
+    name: 'mock',
+    model: 'mock',
+    timeoutMs: 0,
+    webSearch: false,
+
+    async generate({ question, history = [], tools, signal }) {
+      if (latencyMs > 0) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, latencyMs);
+          if (signal) {
+            signal.addEventListener('abort', () => {
+              clearTimeout(timer);
+              reject(new Error('Request was aborted.'));
+            }, { once: true });
+          }
+        });
+      }
+
+      if (failWith) throw new Error(failWith);
+
+      const reminder = question.match(REMINDER_PATTERN);
+      if (reminder && tools) {
+        const result = JSON.parse(await tools.execute('set_reminder', {
+          message: reminder[2],
+          delay_minutes: Number(reminder[1])
+        }));
+        const text = result.error ?
+          `Sorry, I couldn't set that reminder: ${result.error}` :
+          `Okay, I'll remind you to ${reminder[2]} in ${reminder[1]} minutes.`;
+        return { text, usage: { inputTokens: 0, outputTokens: 0, webSearchCalls: 0, toolCalls: 1 } };
+      }
+
+      const turns = history.filter(message => message.role === 'user').length;
+      const text = response || `Mock answer to "${question}"${turns ? ` (after ${turns} earlier question${turns === 1 ? '' : 's'})` : ''}.`;
+
+      return {
+        text,
+        usage: {
+          inputTokens: question.split(/\s+/).length,
+          outputTokens: text.split(/\s+/).length,
+          webSearchCalls: 0,
+          toolCalls: 0
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,101 @@
+/**
+ * Chat completions provider. Works with OpenAI itself and with any server that
+ * speaks the OpenAI chat completions protocol (vLLM, Ollama, LM Studio, ...).
+ */
+
+// Model/tool round trips before giving up on a final answer
+const MAX_TOOL_ROUNDS = 3;
+
+const DEFAULT_SYSTEM_PROMPT = 'You are a helpful AI assistant. When users ask about current events, weather, news, or time-sensitive information, be honest about your knowledge cutoff and suggest they check reliable sources for the most up-to-date information. For general knowledge questions, provide helpful and accurate responses.';
+
+/**
+ * Creates a provider backed by chat completions.
+ * @param {object} options
+ * @param {string} options.name - Provider name used in logs and configuration
+ * @param {object} options.client - OpenAI (or OpenAI-compatible) client
+ * @param {string} options.model - Model name
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {string} [options.systemPrompt] - Base system prompt
+ * @param {number} [options.maxTokens] - Completion token limit
+ * @param {number} [options.temperature] - Sampling temperature
+ * @returns {object} Provider
+ */
+function createOpenAIChatProvider({
+  name,
+  client,
+  model,
+  timeoutMs,
+  systemPrompt = DEFAULT_SYSTEM_PROMPT,
+  maxTokens = 800,
+  temperature = 0.7
+}) {
+  return {
+    name,
+    model,
+    timeoutMs,
+    webSearch: false,
+
+    /**
+     * @param {object} request
+     * @param {string} request.question - The user's question
+     * @param {Array<{role: string, content: string}>} request.history - Earlier messages
+     * @param {string} [request.instructions] - Extra system instructions
+     * @param {object} [request.tools] - Callable tools: { definitions, execute(name, args) }
+     * @param {AbortSignal} [request.signal] - Cancels the request
+     * @returns {Promise<object>} Provider result
+     * @throws {Error} With `error.usage` holding what earlier rounds used
+     */
+    async generate({ question, history = [], instructions, tools, signal }) {
+      const system = [systemPrompt, instructions].filter(Boolean).join('\n\n');
+      const messages = [
+        { role: 'system', content: system },
+        ...history,
+        { role: 'user', content: question }
+      ];
+      const usage = { inputTokens: 0, outputTokens: 0, webSearchCalls: 0, toolCalls: 0 };
+
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        let response;
+        try {
+          response = await client.chat.completions.create({
+            model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(tools ? {
+              tools: tools.definitions.map(tool => ({ type: 'function', function: tool }))
+            } : {})
+          }, { timeout: timeoutMs, maxRetries: 0, signal });
+        } catch (error) {
+          // Earlier tool rounds are billed even though no answer came back
+          error.usage = usage;
+          throw error;
+        }
+
+        const message = response.choices[0].message;
+        usage.inputTokens += response.usage ? response.usage.prompt_tokens : 0;
+        usage.outputTokens += response.usage ? response.usage.completion_tokens : 0;
+
+        if (!message.tool_calls || message.tool_calls.length === 0 || !tools || round === MAX_TOOL_ROUNDS) {
+          return { text: message.content, usage };
+        }
+
+        // Feed the tool results back and let the model finish its answer
+        messages.push(message);
+        for (const call of message.tool_calls) {
+          usage.toolCalls++;
+          messages.push({
+            role: 'tool',
+            tool_call_id: call.id,
+            content: await tools.execute(call.function.name, call.function.arguments)
+          });
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIChatProvider,
+  DEFAULT_SYSTEM_PROMPT
+};
@@ -0,0 +1,95 @@
+/**
+ * OpenAI Responses API provider, with the built-in web search tool.
+ */
+
+const { logger } = require('../logger');
+
+const WEB_SEARCH_TOOL = { type: 'web_search_preview' };
+
+// Model/tool round trips before giving up on a final answer
+const MAX_TOOL_ROUNDS = 3;
+
+/**
+ * Creates a provider backed by the OpenAI Responses API.
+ * @param {object} options
+ * @param {object} options.client - OpenAI client
+ * @param {string} options.model - Model name, e.g. "gpt-4o"
+ * @param {number} options.timeoutMs - Request timeout
+ * @param {boolean} [options.webSearch] - Enable the web_search_preview tool
+ * @returns {object} Provider
+ */
+function createOpenAIResponsesProvider({ client, model, timeoutMs, webSearch = true }) {
+  return {
+    name: 'openai-responses',
+    model,
+    timeoutMs,
+    webSearch,
+
+    /**
+     * @param {object} request
+     * @param {string} request.question - The user's question
+     * @param {Array<{role: string, content: string}>} request.history - Earlier messages
+     * @param {string} [request.instructions] - Extra system instructions
+     * @param {object} [request.tools] - Callable tools: { definitions, execute(name, args) }
+     * @param {boolean} [request.webSearch] - false turns web search off for this request
+     * @param {AbortSignal} [request.signal] - Cancels the request
+     * @returns {Promise<object>} Provider result
+     * @throws {Error} With `error.usage` holding what earlier rounds used
+     */
+    async generate({ question, history = [], instructions, tools, webSearch: allowWebSearch = true, signal }) {
+      const functionTools = tools ?
+        tools.definitions.map(tool => ({ type: 'function', ...tool })) :
+        [];
+      const input = [...history, { role: 'user', content: question }];
+      const usage = { inputTokens: 0, outputTokens: 0, webSearchCalls: 0, toolCalls: 0 };
+
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        let response;
+        try {
+          response = await client.responses.create({
+            model,
+            tools: [...(webSearch && allowWebSearch ? [WEB_SEARCH_TOOL] : []), ...functionTools],
+            input,
+            ...(instructions ? { instructions } : {})
+          }, { timeout: timeoutMs, maxRetries: 0, signal });
+        } catch (error) {
+          // Earlier tool rounds are billed even though no answer came back
+          error.usage = usage;
+          throw error;
+        }
+
+        const output = response.output || [];
+        const webSearchCalls = output.filter(item => item.type === 'web_search_call').length;
+        const functionCalls = output.filter(item => item.type === 'function_call');
+
+        if (webSearchCalls > 0) {
+          logger.info('🔍 Web search tool was used', { calls: webSearchCalls });
+        }
+
+        usage.inputTokens += response.usage ? response.usage.input_tokens : 0;
+        usage.outputTokens += response.usage ? response.usage.output_tokens : 0;
+        usage.webSearchCalls += webSearchCalls;
+
+        if (functionCalls.length === 0 || !tools || round === MAX_TOOL_ROUNDS) {
+          return { text: response.output_text, usage };
+        }
+
+        // Feed the tool results back and let the model finish its answer
+        input.push(...output);
+        for (const call of functionCalls) {
+          usage.toolCalls++;
+          input.push({
+            type: 'function_call_output',
+            call_id: call.call_id,
+            output: await tools.execute(call.name, call.arguments)
+          });
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOpenAIResponsesProvider,
+  WEB_SEARCH_TOOL
+};
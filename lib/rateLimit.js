@@ -0,0 +1,52 @@
+/**
+ * Sliding-window request rate limit for the webhook endpoints.
+ *
+ * Requests are counted per Omi user (the ?uid= query parameter), or per client
+ * IP when there is no uid. Omi sends a transcript batch every few seconds while
+ * someone is talking, so the limit should leave room for that.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Creates the rate limit middleware.
+ * @param {object} options
+ * @param {number} options.limit - Requests allowed per window; 0 disables the limit
+ * @param {number} options.windowMs - Window length
+ * @param {object} options.hits - Storage collection (key -> request timestamps)
+ * @param {function(): number} [options.now] - Clock
+ * @returns {function} Express middleware
+ */
+function createWebhookRateLimit({ limit, windowMs, hits, now = Date.now }) {
+  let rejected = 0;
+
+  function webhookRateLimit(req, res, next) {
+    if (!limit) return next();
+
+    const key = req.query.uid ? `uid:${req.query.uid}` : `ip:${req.ip}`;
+    const timestamp = now();
+    const recent = (hits.get(key) || []).filter(previous => timestamp - previous < windowMs);
+
+    if (recent.length >= limit) {
+      rejected++;
+      const retryAfterSeconds = Math.ceil((recent[0] + windowMs - timestamp) / 1000);
+      logger.warn('🚦 Webhook rate limit exceeded', req.query.uid ? { uid: req.query.uid } : { ip: req.ip });
+      res.set('Retry-After', String(retryAfterSeconds));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Webhook rate limit exceeded. Maximum ${limit} requests per ${windowMs / 1000} seconds.`
+      });
+    }
+
+    recent.push(timestamp);
+    hits.set(key, recent, { ttlMs: windowMs });
+    next();
+  }
+
+  Object.defineProperty(webhookRateLimit, 'rejected', { get: () => rejected });
+  return webhookRateLimit;
+}
+
+module.exports = {
+  createWebhookRateLimit
+};
@@ -0,0 +1,1513 @@
+/**
+ * Omi AI Chat Plugin, as an Express router.
+ *
+ * createOmiChatRouter() builds everything the plugin needs - storage, the LLM
+ * provider chain, the Omi client, queues and timers - inside the router, so it
+ * can be mounted in an existing Express app or built with fake clients. server.js
+ * is the standalone server: it reads the options from the environment and
+ * mounts the router on its own app.
+ * 
+ * TRIGGER PHRASES: Users must start their message with one of these to activate the AI:
+ * - "Hey Omi" (most common)
+ * - "Hey, Omi" (with comma)
+ * - "Hey Omi," (with trailing comma)
+ * - "Hey, Omi," (with both commas)
+ * - "Hey Jarvis" (Iron Man style)
+ * - "Hey, Jarvis" (with comma)
+ * - "Hey Jarvis," (with trailing comma)
+ * - "Hey, Jarvis," (with both commas)
+ * - "Hey Echo" (Amazon Alexa style)
+ * - "Hey, Echo" (with comma)
+ * - "Hey Echo," (with trailing comma)
+ * - "Hey, Echo," (with both commas)
+ * - "Hey Assistant" (Google Assistant style)
+ * - "Hey, Assistant" (with comma)
+ * - "Hey Assistant," (with trailing comma)
+ * - "Hey, Assistant," (with both commas)
+ * - "hey" (simple trigger, only when it opens a question: "hey, what time is it?")
+ *
+ * Wake words are matched on whole words, across segment boundaries, and tolerate
+ * common ASR misspellings ("hey ohmy", "hey jervis") - see lib/wakeWord.js.
+ * These are the defaults: each user can rename the assistant and choose their
+ * own wake words with PUT /users/:uid/settings (see lib/settings.js).
+ * 
+ * HELP KEYWORDS: Users can ask for help using these words:
+ * - "help", "what can you do", "how to use", "instructions", "guide"
+ * - "what do you do", "how does this work", "what are the commands"
+ * - "keywords", "trigger words", "how to talk to you"
+ */
+
+const express = require('express');
+const { createConversationStore, isResetCommand } = require('./conversation');
+const { createWakeWordDetector } = require('./wakeWord');
+const { createNotificationQueue } = require('./notificationQueue');
+const { mergeSegments, analyzeUtterance } = require('./segments');
+const { createProviderChainFromEnv } = require('./providers');
+const { createStorage } = require('./storage');
+const { createWebhookAuth } = require('./webhookAuth');
+const { createOmiClient } = require('./omiClient');
+const { validateTranscriptWebhook, validateMemoryWebhook } = require('./validation');
+const { summarizeConversation, formatSummaryMessage, formatDigest } = require('./summaries');
+const { createResponseShaper, isMoreCommand } = require('./shaping');
+const { SPEAKER_POLICIES, invokingSegments, buildSpeakerContext } = require('./speakers');
+const { createIntentRouter } = require('./intents');
+const { createUsageTracker, quotaMessage } = require('./usage');
+const {
+  createSettingsStore,
+  wakeWordNames,
+  wakeWordDisplayNames,
+  triggerPhrases,
+  helpMessage,
+  buildPersonaInstructions
+} = require('./settings');
+const { detectLanguage, getLanguage, findLanguage, LANGUAGES } = require('./languages');
+const { logger, requestContext } = require('./logger');
+const { createMetrics } = require('./metrics');
+const { createWebhookRateLimit } = require('./rateLimit');
+const { evaluateTrigger, summarizeTrigger } = require('./triggers');
+const { createHistoryStore, parseDateRange, formatExport, EXPORT_FORMATS } = require('./history');
+const { createDecisionLog } = require('./decisions');
+const { createAdminAuth, hasAdminToken } = require('./adminAuth');
+const { createRedaction, redactTools } = require('./pii');
+const { createAnswerCache, isCacheableQuestion } = require('./answerCache');
+const { DEFAULT_OPTIONS } = require('./config');
+const {
+  createToolRegistry,
+  createReminderScheduler,
+  createReminderTools,
+  createNoteTools,
+  loadCustomTools
+} = require('./tools');
+
+/**
+ * Creates the plugin's routes: the Omi webhooks, /health, /help, /metrics, the
+ * settings endpoints and the admin API.
+ *
+ * Nothing runs until start() is called; stop() refuses new requests, waits for
+ * the ones in flight (and background answers) to finish and clears every timer.
+ *
+ * @param {object} [options] - Any of DEFAULT_OPTIONS (see lib/config.js), plus:
+ * @param {object} [options.storage] - Storage instance (see lib/storage); default in-memory
+ * @param {object} [options.llm] - Provider chain (see lib/providers); default built from options.env
+ * @param {object} [options.openai] - OpenAI client for the default provider chain
+ * @param {object} [options.env] - Environment the default provider chain is configured from
+ * @param {object} [options.omi] - Omi client with sendNotification(uid, message) (see lib/omiClient.js)
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Express router with start() and stop({ timeoutMs })
+ */
+function createOmiChatRouter({
+  storage: injectedStorage,
+  llm: injectedLlm,
+  openai,
+  env = process.env,
+  omi: injectedOmi,
+  now: clock = Date.now,
+  ...overrides
+} = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const router = express.Router();
+
+  // Durable storage for sessions, rate-limit history and conversations (see lib/storage)
+  const storage = injectedStorage || createStorage({ now: clock });
+  const STORAGE_SWEEP_INTERVAL = options.storageSweepIntervalMs;
+
+  // Omi API client for direct notifications (see lib/omiClient.js)
+  const omi = injectedOmi || createOmiClient({ appId: options.omiAppId, appSecret: options.omiAppSecret });
+
+  // Webhook authentication, replay protection and payload limits (see lib/webhookAuth.js)
+  const WEBHOOK_MAX_BODY = options.webhookMaxBody;
+  const WEBHOOK_REQUIRE_UID = options.webhookRequireUid;
+  const MEMORY_WEBHOOK_MAX_BODY = options.memoryWebhookMaxBody;
+  const webhookAuth = createWebhookAuth({
+    mode: options.webhookAuthMode,
+    secret: options.webhookSecret,
+    replayWindowMs: options.webhookReplayWindowMs,
+    seen: storage.collection('webhookDeliveries'),
+    now: clock
+  });
+  // Per-user (or per-IP without a uid) request limit on the webhook endpoints
+  const webhookRateLimit = createWebhookRateLimit({
+    limit: options.webhookRateLimitPerMinute,
+    windowMs: 60 * 1000,
+    hits: storage.collection('webhookRequests'),
+    now: clock
+  });
+
+  // Admin API for inspecting sessions and users; disabled unless adminToken is set
+  const adminAuth = createAdminAuth({ token: options.adminToken });
+
+  /**
+   * Guards settings changes: the admin token always works, otherwise the
+   * request needs the webhook credentials. With WEBHOOK_AUTH_MODE=none there
+   * are none to check, so only the admin token can change settings.
+   */
+  function settingsAuth(req, res, next) {
+    if (hasAdminToken(req, options.adminToken)) return next();
+
+    if (options.webhookAuthMode === 'none') {
+      logger.warn('🔒 Settings change rejected', { ip: req.ip, path: req.path });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Changing settings needs the admin token or webhook credentials (WEBHOOK_AUTH_MODE secret or hmac)'
+      });
+    }
+    webhookAuth(req, res, next);
+  }
+  // Why recent transcripts were answered or ignored, newest first (memory only)
+  const decisionLog = createDecisionLog({ capacity: options.decisionLogSize, now: clock });
+
+  // Session storage to accumulate transcript segments: session id -> { uid, segments }
+  const SESSION_TTL = options.sessionTtlMs;
+  const sessionTranscripts = storage.collection('sessions');
+
+  // Per-user settings: assistant name, wake words, persona, answer length, web search,
+  // speaker policy and timezone. options.settingsDefaults sets the defaults (see lib/settings.js)
+  const userSettings = createSettingsStore({
+    collection: storage.collection('settings'),
+    defaults: options.settingsDefaults
+  });
+  if (options.webhookAuthMode === 'none' && !options.adminToken) {
+    logger.warn('🔒 Settings are read-only: set ADMIN_TOKEN or WEBHOOK_AUTH_MODE to let users change them');
+  }
+
+  // End-of-utterance detection: only answer once the user has finished speaking
+  const UTTERANCE_OPTIONS = {
+    pauseSeconds: options.utterancePauseSeconds,
+    minWords: options.utteranceMinWords
+  };
+  const UTTERANCE_SILENCE_MS = options.utteranceSilenceMs;
+  const silenceTimers = new Map(); // session_id -> pending end-of-utterance timer
+
+  // Rate limiting for Omi notifications (max 10 per hour by default)
+  const notificationHistory = storage.collection('notificationHistory'); // Track notifications per user
+  const MAX_NOTIFICATIONS_PER_HOUR = options.maxNotificationsPerHour;
+  const RATE_LIMIT_WINDOW = options.notificationWindowMs;
+
+  // LLM usage accounting and quotas per user (0 = unlimited; see lib/usage.js)
+  const usageTracker = createUsageTracker({
+    collection: storage.collection('usage'),
+    limits: options.usageLimits,
+    pricing: options.usagePricing,
+    now: clock
+  });
+
+  // How answers reach the user: "sync" returns them from the webhook, "async"
+  // acknowledges immediately and delivers them as Omi notifications
+  const RESPONSE_MODE = options.responseMode === 'async' ? 'async' : 'sync';
+
+  // Push a short digest of each summarized conversation as a notification
+  const MEMORY_DIGEST_NOTIFICATIONS = options.memoryDigestNotifications;
+
+  // Outbound notification queue (rate-limit aware, retries 5xx with backoff)
+  const notificationQueue = createNotificationQueue({
+    send: sendOmiNotification,
+    maxRetries: options.notificationMaxRetries,
+    retryBaseDelayMs: options.notificationRetryBaseMs,
+    now: clock
+  });
+
+  // Conversation memory so follow-up questions keep their context
+  const CONVERSATION_MAX_TURNS = options.conversationMaxTurns;
+  const CONVERSATION_TTL = options.conversationTtlMs;
+  const conversations = createConversationStore({
+    collection: storage.collection('conversations'),
+    maxTurns: CONVERSATION_MAX_TURNS,
+    ttlMs: CONVERSATION_TTL
+  });
+
+  // Every answered exchange, exportable per user (see lib/history.js)
+  const HISTORY_ENABLED = options.historyEnabled;
+  const exchangeHistory = createHistoryStore({
+    collection: storage.collection('history'),
+    retentionMs: options.historyRetentionMs,
+    maxPerUser: options.historyMaxPerUser,
+    now: clock
+  });
+
+  // Personal data masked before questions reach the provider (see lib/pii.js);
+  // each user opts in or out with the pii_redaction setting
+  const PII_REDACTION_TYPES = options.piiRedactionTypes;
+
+  // Overall time limit for answering one question, across every provider tried;
+  // keep it below Omi's webhook timeout. 0 disables it
+  const LLM_DEADLINE_MS = options.llmDeadlineMs;
+
+  // Repeated questions are answered from a per-user cache (see lib/answerCache.js); 0 disables it
+  const ANSWER_CACHE_TTL = options.answerCacheTtlMs;
+  const answerCache = createAnswerCache({
+    collection: storage.collection('answerCache'),
+    ttlMs: ANSWER_CACHE_TTL,
+    now: clock
+  });
+
+  // Answers are flattened to plain text and fitted to each channel's length budget
+  const responseShaper = createResponseShaper({
+    budgets: options.responseBudgets,
+    overflow: options.responseOverflow === 'split' ? 'split' : 'more',
+    continuations: storage.collection('continuations'),
+    continuationTtlMs: CONVERSATION_TTL
+  });
+
+  // Wake-word detection ("Hey Omi", "Hey Jarvis", ...) with ASR misspelling tolerance
+  const WAKE_WORD_MIN_CONFIDENCE = options.wakeWordMinConfidence;
+  // "hey" works whatever the language; other greetings only in their own language
+  const UNIVERSAL_GREETINGS = ['hey'];
+  const wakeWordDetectors = new Map(); // language + name table -> detector, shared by users with the same wake words
+
+  // Fast paths answered without the LLM: time/date, arithmetic, unit conversions, help
+  const LOCAL_INTENTS_ENABLED = options.localIntents;
+  const intentRouter = createIntentRouter();
+
+  // Tools the model can call: reminders/timers (delivered as notifications), notes,
+  // plus any custom tool modules listed in options.customTools (see lib/tools)
+  const TOOLS_ENABLED = options.toolsEnabled;
+  const toolRegistry = createToolRegistry();
+  const reminderScheduler = createReminderScheduler({
+    collection: storage.collection('reminders'),
+    deliver: (uid, text) => notificationQueue.enqueue(uid, text),
+    now: clock
+  });
+  createReminderTools(reminderScheduler).forEach(toolRegistry.register);
+  createNoteTools(storage.collection('notes')).forEach(toolRegistry.register);
+  loadCustomTools(toolRegistry, options.customTools);
+
+  // LLM providers, tried in order until one answers (see lib/providers)
+  const llm = injectedLlm || createProviderChainFromEnv(env, { openai });
+  logger.info('✅ LLM providers configured', { providers: llm.providers.map(provider => provider.name) });
+
+  // Prometheus metrics, served on /metrics (see lib/metrics.js)
+  const metrics = createMetrics();
+  const webhookOutcomes = metrics.counter('omi_webhook_requests_total', 'Transcript webhooks by outcome');
+  const llmDuration = metrics.histogram('omi_llm_request_duration_seconds', 'Time for the provider chain to answer, by answering provider');
+  const llmFallbacks = metrics.counter('omi_llm_fallbacks_total', 'Answers that needed a fallback provider, by answering provider');
+  const llmFailures = metrics.counter('omi_llm_failures_total', 'Questions no provider could answer');
+  const localIntents = metrics.counter('omi_local_intents_total', 'Questions answered without the LLM, by intent');
+  const rateLimitRejections = metrics.counter('omi_rate_limit_rejections_total', 'Requests refused by a limit (webhook, notification or usage)');
+  const llmDeadlineExceeded = metrics.counter('omi_llm_deadline_exceeded_total', 'Questions not answered within LLM_DEADLINE_MS');
+  const answerCacheLookups = metrics.counter('omi_answer_cache_lookups_total', 'Answer cache lookups, by result (hit or miss)');
+  const piiRedactions = metrics.counter('omi_pii_redactions_total', 'Personal data values masked before an LLM request, by type');
+  metrics.gauge('omi_active_sessions', 'Transcript sessions waiting for a question', () => sessionTranscripts.size);
+  metrics.gauge('omi_notification_queue_size', 'Notifications waiting to be delivered', () => notificationQueue.size);
+
+  // Requests being handled and answers still being generated, drained by stop()
+  let inFlight = 0;
+  const backgroundTasks = new Set();
+  const idleWaiters = [];
+  let started = false;
+  let stopping = false;
+
+  /**
+   * Resolves everyone waiting in stop() once nothing is in flight.
+   */
+  function notifyIfIdle() {
+      if (inFlight > 0 || backgroundTasks.size > 0) return;
+      idleWaiters.splice(0).forEach(resolve => resolve(true));
+  }
+
+  /**
+   * Counts requests until their response is sent, and turns new ones away while stopping.
+   */
+  function trackInFlight(req, res, next) {
+      if (stopping) {
+          res.set('Connection', 'close');
+          return res.status(503).json({ error: 'Service Unavailable', message: 'Server is shutting down' });
+      }
+
+      inFlight++;
+      let done = false;
+      const finish = () => {
+          if (done) return;
+          done = true;
+          inFlight--;
+          notifyIfIdle();
+      };
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+  }
+
+  /**
+   * Keeps work that outlives its request (background answers) from being cut off by stop().
+   * @param {Promise} task
+   * @returns {Promise} The same task
+   */
+  function trackBackground(task) {
+      backgroundTasks.add(task);
+      task.finally(() => {
+          backgroundTasks.delete(task);
+          notifyIfIdle();
+      });
+      return task;
+  }
+
+  /**
+   * Sends a direct notification to an Omi user with rate limiting.
+   * @param {string} userId - The Omi user's unique ID
+   * @param {string} message - The notification text
+   * @returns {Promise<object>} Response data or error
+   */
+  async function sendOmiNotification(userId, message) {
+      // Check rate limit for this user
+      const now = clock();
+      const userHistory = notificationHistory.get(userId) || [];
+
+      // Remove notifications older than 1 hour
+      const recentNotifications = userHistory.filter(timestamp => 
+          now - timestamp < RATE_LIMIT_WINDOW
+      );
+
+      if (recentNotifications.length >= MAX_NOTIFICATIONS_PER_HOUR) {
+          const oldestNotification = recentNotifications[0];
+          const timeUntilReset = RATE_LIMIT_WINDOW - (now - oldestNotification);
+          const minutesUntilReset = Math.ceil(timeUntilReset / (60 * 1000));
+
+          rateLimitRejections.inc({ limit: 'notification' });
+          const error = new Error(`Rate limit exceeded. Maximum ${MAX_NOTIFICATIONS_PER_HOUR} notifications per hour. Try again in ${minutesUntilReset} minutes.`);
+          error.statusCode = 429;
+          error.retryAfterMs = timeUntilReset;
+          throw error;
+      }
+
+      try {
+          const data = await omi.sendNotification(userId, message);
+          // Update rate limit tracking
+          recordNotification(userId, now);
+          return data;
+      } catch (error) {
+          // Omi's own rate limit counts against the user's allowance too
+          if (error.statusCode === 429) recordNotification(userId, now);
+          throw error;
+      }
+  }
+
+  /**
+   * Records a notification attempt against a user's hourly limit.
+   * The history expires one window after the latest notification.
+   * @param {string} userId - The Omi user's unique ID
+   * @param {number} timestamp - When the notification was sent
+   */
+  function recordNotification(userId, timestamp) {
+      const recent = (notificationHistory.get(userId) || []).filter(previous =>
+          timestamp - previous < RATE_LIMIT_WINDOW
+      );
+      recent.push(timestamp);
+      notificationHistory.set(userId, recent, { ttlMs: RATE_LIMIT_WINDOW });
+  }
+
+  /**
+   * Gets the current rate limit status for a user
+   * @param {string} userId - The Omi user's unique ID
+   * @returns {object} Rate limit information
+   */
+  function getRateLimitStatus(userId) {
+      const now = clock();
+      const userHistory = notificationHistory.get(userId) || [];
+      const recentNotifications = userHistory.filter(timestamp => 
+          now - timestamp < RATE_LIMIT_WINDOW
+      );
+
+      const remainingNotifications = MAX_NOTIFICATIONS_PER_HOUR - recentNotifications.length;
+      const timeUntilReset = recentNotifications.length > 0 ? 
+          RATE_LIMIT_WINDOW - (now - recentNotifications[0]) : 0;
+
+      return {
+          remaining: Math.max(0, remainingNotifications),
+          used: recentNotifications.length,
+          limit: MAX_NOTIFICATIONS_PER_HOUR,
+          timeUntilReset: Math.ceil(timeUntilReset / (60 * 1000)), // minutes
+          isLimited: remainingNotifications <= 0
+      };
+  }
+
+  /**
+   * Gets the wake-word detector for a user's settings and the language being spoken
+   * (or, when it can't be detected, the user's configured language). Only that
+   * language's greetings count, so the German "he" can't wake an English speaker.
+   * @param {object} settings - The user's effective settings
+   * @param {object} language - Language table (see lib/languages)
+   * @returns {object} Detector with a detect(segments) method
+   */
+  function getWakeWordDetector(settings, language) {
+      const names = wakeWordNames(settings);
+      const key = `${language.code}:${JSON.stringify(names)}`;
+
+      if (!wakeWordDetectors.has(key)) {
+          wakeWordDetectors.set(key, createWakeWordDetector({
+              names,
+              greetings: [...new Set([...UNIVERSAL_GREETINGS, ...language.greetings])],
+              weakGreetings: language.weakGreetings,
+              bareGreetings: language.bareGreetings,
+              questionStarters: language.questionStarters,
+              minConfidence: WAKE_WORD_MIN_CONFIDENCE
+          }));
+      }
+      return wakeWordDetectors.get(key);
+  }
+
+  /**
+   * Adds an answered exchange to the user's exportable history (see lib/history.js).
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - What the user asked
+   * @param {string} answer - What the assistant replied
+   * @param {{provider: string, model: string}} source - Who answered
+   * @param {object} exchange - { sessionId, trigger, askedAt }
+   */
+  function recordExchange(uid, question, answer, source, exchange) {
+      if (!HISTORY_ENABLED) return;
+      exchangeHistory.record(uid, {
+          ...exchange,
+          askedAt: exchange.askedAt || clock(),
+          question,
+          answer,
+          provider: source.provider,
+          model: source.model
+      });
+  }
+
+  /**
+   * Answers a question with a local intent handler, skipping the LLM, and records
+   * the exchange in the user's history.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - The question extracted from the transcript
+   * @param {object|null} [language] - Detected language table; the user's language setting otherwise
+   * @param {object} [exchange] - Session, trigger and time asked, for the exchange history
+   * @returns {string|null} The answer, or null if the LLM is needed
+   */
+  function answerLocally(uid, question, language = null, exchange = {}) {
+      if (!LOCAL_INTENTS_ENABLED) return null;
+
+      const settings = userSettings.get(uid);
+      const match = intentRouter.route(question, {
+          now: new Date(clock()),
+          timezone: settings.timezone,
+          helpText: helpMessage(settings, language || undefined),
+          language: language || getLanguage(settings.language)
+      });
+      if (!match) return null;
+
+      logger.info('⚡ Answered locally', { intent: match.intent, answer: match.text });
+      localIntents.inc({ intent: match.intent });
+      conversations.appendExchange(uid, question, match.text);
+      recordExchange(uid, question, match.text, { provider: 'local', model: match.intent }, exchange);
+      return match.text;
+  }
+
+  /**
+   * Counts the tokens that failed provider calls had already used towards the
+   * user's quotas: a timeout after a tool round is still billed.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {Array<object>} [failures] - The chain's failures: { provider, model, error }
+   */
+  function recordFailedUsage(uid, failures = []) {
+      for (const { model, error } of failures) {
+          const usage = error.usage;
+          if (usage && (usage.inputTokens || usage.outputTokens || usage.webSearchCalls)) {
+              usageTracker.record(uid, usage, model);
+          }
+      }
+  }
+
+  /**
+   * Logs and counts the personal data a redaction masked - the types, never the values.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {object|null} redaction - Redaction used for an LLM request (see lib/pii.js)
+   */
+  function recordRedactions(uid, redaction) {
+      if (!redaction || redaction.total === 0) return;
+      logger.info('🕵️ Masked personal data before the LLM request', { uid, pii_redactions: redaction.counts });
+      for (const [type, count] of Object.entries(redaction.counts)) piiRedactions.inc({ type }, count);
+  }
+
+  /**
+   * Answers a question with a local intent handler when one matches, otherwise with
+   * the configured provider chain (by default the OpenAI Responses API with web
+   * search, falling back to chat completions), and records the exchange in the
+   * user's history. With the user's pii_redaction setting on, the provider only
+   * sees placeholders for personal data, which are restored in the answer.
+   * Repeated questions are served from the answer cache, and the whole provider
+   * chain is cancelled once LLM_DEADLINE_MS has passed.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - The question extracted from the transcript
+   * @param {object} [options]
+   * @param {Array<object>} [options.contextSegments] - Session segments up to the question, for speaker context
+   * @param {boolean} [options.canNotify] - uid is a real Omi user id, so tools may send notifications
+   * @param {object|null} [options.language] - Detected language table of the question
+   * @param {object} [options.exchange] - Session, trigger and time asked, for the exchange history
+   * @returns {Promise<string>} The answer text
+   */
+  async function generateAnswer(uid, question, { contextSegments = [], canNotify = false, language = null, exchange = {} } = {}) {
+      const localAnswer = answerLocally(uid, question, language, exchange);
+      if (localAnswer) return localAnswer;
+
+      const settings = userSettings.get(uid);
+      const replyLanguage = language || getLanguage(settings.language);
+      const storedHistory = conversations.getHistory(uid);
+      const fullSpeakerContext = buildSpeakerContext(contextSegments);
+      const personaInstructions = buildPersonaInstructions(settings, language);
+      const cacheable = ANSWER_CACHE_TTL > 0 && !fullSpeakerContext &&
+          isCacheableQuestion(question, { hasHistory: storedHistory.length > 0, language: replyLanguage });
+      if (cacheable) {
+          const cached = answerCache.get(uid, question, personaInstructions);
+          answerCacheLookups.inc({ result: cached ? 'hit' : 'miss' });
+          if (cached) {
+              logger.info('♻️ Answered from cache', { uid, cached_at: cached.cached_at });
+              conversations.appendExchange(uid, question, cached.answer);
+              recordExchange(uid, question, cached.answer, { provider: 'cache', model: cached.model }, exchange);
+              return cached.answer;
+          }
+      }
+
+      const quota = usageTracker.check(uid);
+      if (!quota.allowed) {
+          logger.info('💸 User is over the usage limit', { uid, period: quota.period });
+          rateLimitRejections.inc({ limit: 'usage' });
+          return quotaMessage(quota.period, replyLanguage);
+      }
+
+      // One redaction for the whole request, so a value gets the same placeholder everywhere
+      const redaction = settings.pii_redaction ? createRedaction({ types: PII_REDACTION_TYPES }) : null;
+      const mask = text => (redaction ? redaction.mask(text) : text);
+
+      const history = storedHistory.map(message => ({ ...message, content: mask(message.content) }));
+      const speakerContext = mask(fullSpeakerContext);
+      const instructions = [personaInstructions, speakerContext].filter(Boolean).join('\n\n');
+      const providerQuestion = mask(question);
+      logger.info('🤖 Processing question', {
+          uid,
+          question,
+          history_messages: history.length,
+          speaker_context: Boolean(speakerContext)
+      });
+      recordRedactions(uid, redaction);
+
+      const signal = LLM_DEADLINE_MS > 0 ? AbortSignal.timeout(LLM_DEADLINE_MS) : undefined;
+      try {
+          const requestTools = TOOLS_ENABLED ? toolRegistry.forRequest({ uid, canNotify, now: clock }) : null;
+          const tools = redaction ? redactTools(requestTools, redaction) : requestTools;
+          const result = await llm.generate({
+              question: providerQuestion,
+              history,
+              instructions,
+              tools,
+              webSearch: settings.web_search,
+              signal
+          });
+          if (redaction) result.text = redaction.unmask(result.text);
+          const cost = usageTracker.record(uid, result.usage, result.model);
+          recordFailedUsage(uid, result.failures);
+          logger.info('✨ LLM response', {
+              provider: result.provider,
+              latency_ms: result.latencyMs,
+              fallback: result.fallbackUsed,
+              input_tokens: result.usage.inputTokens,
+              output_tokens: result.usage.outputTokens,
+              web_search_calls: result.usage.webSearchCalls,
+              cost_usd: Number(cost.toFixed(6)),
+              answer: result.text
+          });
+          llmDuration.observe(result.latencyMs / 1000, { provider: result.provider });
+          if (result.fallbackUsed) llmFallbacks.inc({ provider: result.provider });
+
+          conversations.appendExchange(uid, question, result.text);
+          recordExchange(uid, question, result.text, result, exchange);
+          // Answers that ran tools or searched the web depend on more than the question
+          if (cacheable && !result.usage.toolCalls && !result.usage.webSearchCalls) {
+              answerCache.set(uid, question, personaInstructions, { answer: result.text, provider: result.provider, model: result.model });
+          }
+          return result.text;
+      } catch (error) {
+          recordFailedUsage(uid, error.failures);
+          if (signal && signal.aborted) {
+              logger.error('⏱️ LLM deadline exceeded', { uid, deadline_ms: LLM_DEADLINE_MS, error: error.message });
+              llmDeadlineExceeded.inc();
+              return replyLanguage.replies.deadline;
+          }
+          logger.error('❌ Every LLM provider failed', { error: error.message });
+          llmFailures.inc();
+          return replyLanguage.replies.failure;
+      }
+  }
+
+  /**
+   * Generates an answer in the background and queues it as an Omi notification.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} question - The question extracted from the transcript
+   * @param {Array<object>} [contextSegments] - Session segments up to the question
+   * @param {object|null} [language] - Detected language table of the question
+   * @param {object} [exchange] - Session, trigger and time asked, for the exchange history
+   */
+  function deliverInBackground(uid, question, contextSegments, language = null, exchange = {}) {
+      trackBackground(generateAnswer(uid, question, { contextSegments, canNotify: true, language, exchange })
+          .then(answer => {
+              const replyLanguage = language || getLanguage(userSettings.get(uid).language);
+              for (const part of responseShaper.shape(uid, answer, 'notification', replyLanguage)) {
+                  const item = notificationQueue.enqueue(uid, part);
+                  logger.info('📬 Queued answer as notification', { id: item.id, uid });
+              }
+          })
+          .catch(error => logger.error('❌ Background answer failed', { error })));
+  }
+
+  /**
+   * Answers a session once Omi has stopped sending segments for a while.
+   * Used when the transcript never showed a pause or closing punctuation.
+   * @param {string} sessionId - The Omi session ID
+   * @param {string} uid - The Omi user's unique ID
+   */
+  function finalizeAfterSilence(sessionId, uid) {
+      silenceTimers.delete(sessionId);
+
+      const session = sessionTranscripts.get(sessionId);
+      if (!session) return;
+
+      const sessionSegments = session.segments;
+      const settings = userSettings.get(uid);
+      const speakerSegments = invokingSegments(sessionSegments, settings.speaker_policy);
+      const spokenLanguage = detectLanguage(speakerSegments);
+      const language = spokenLanguage || getLanguage(settings.language);
+      const trigger = evaluateTrigger({
+          segments: speakerSegments,
+          detector: getWakeWordDetector(settings, language),
+          language
+      });
+      const question = trigger.wakeWord ? trigger.wakeWord.question : trigger.transcript;
+
+      const decision = {
+          session_id: sessionId,
+          uid,
+          reason: trigger.reason,
+          language: language.code,
+          matches: trigger.matches,
+          utterance: 'silence'
+      };
+
+      if (isResetCommand(question, language)) {
+          sessionTranscripts.delete(sessionId);
+          conversations.clear(uid);
+          logger.info('🧹 Cleared conversation history', { uid });
+          decisionLog.record({ ...decision, outcome: 'command', command: 'reset' });
+          return;
+      }
+
+      if (responseShaper.hasMore(uid) && isMoreCommand(question, language)) {
+          sessionTranscripts.delete(sessionId);
+          notificationQueue.enqueue(uid, responseShaper.next(uid, language));
+          decisionLog.record({ ...decision, outcome: 'command', command: 'more' });
+          return;
+      }
+
+      // Still too short to be a real question - keep waiting for more speech
+      if (question.split(/\s+/).filter(Boolean).length < UTTERANCE_OPTIONS.minWords) return;
+
+      sessionTranscripts.delete(sessionId);
+      decisionLog.record({ ...decision, outcome: 'answered', question });
+
+      logger.info('🤫 Silence after question, answering via notification', { session_id: sessionId, question });
+      deliverInBackground(uid, question, sessionSegments, spokenLanguage, {
+          sessionId,
+          trigger: summarizeTrigger(trigger),
+          askedAt: clock()
+      });
+  }
+
+  /**
+   * (Re)starts the silence timer for a session that is still being spoken.
+   * @param {string} sessionId - The Omi session ID
+   * @param {string} uid - The Omi user's unique ID
+   */
+  function armSilenceTimer(sessionId, uid) {
+      clearTimeout(silenceTimers.get(sessionId));
+      silenceTimers.set(sessionId, setTimeout(() => finalizeAfterSilence(sessionId, uid), UTTERANCE_SILENCE_MS));
+  }
+
+  // Middleware
+  router.use(requestContext());
+  router.use(trackInFlight);
+  const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+  router.use('/memory-created', express.json({ limit: MEMORY_WEBHOOK_MAX_BODY, verify: keepRawBody }));
+  router.use(express.json({
+    limit: WEBHOOK_MAX_BODY,
+    // Keep the exact bytes for webhook signature verification
+    verify: keepRawBody
+  }));
+  router.use(express.urlencoded({ extended: true, limit: WEBHOOK_MAX_BODY }));
+
+  // Health check endpoint
+  router.get('/health', (req, res) => {
+    res.status(200).json({ 
+      status: 'OK', 
+      message: 'Omi AI Chat Plugin is running',
+      trigger_phrases: triggerPhrases(userSettings.defaults),
+      help_keywords: getLanguage(userSettings.defaults.language).helpKeywords,
+      languages: Object.keys(LANGUAGES),
+      example_usage: `Hey ${userSettings.defaults.assistant_name}, what is the weather like in Sydney, Australia?`,
+      settings: {
+        defaults: userSettings.defaults,
+        customized_users: userSettings.size,
+        note: 'Check /users/:uid/settings for a user\'s settings'
+      },
+      rate_limiting: {
+        max_notifications_per_hour: MAX_NOTIFICATIONS_PER_HOUR,
+        active_users: notificationHistory.size,
+        storage: storage.driver,
+        webhook_rejections: webhookRateLimit.rejected,
+        note: 'Check /rate-limit/:userId for specific user status and usage'
+      },
+      usage: {
+        tracked_users: usageTracker.size,
+        limits: usageTracker.limits
+      },
+      delivery: {
+        response_mode: RESPONSE_MODE,
+        queued_notifications: notificationQueue.size,
+        note: 'Check /admin/notification-queue for queue state'
+      },
+      conversation_memory: {
+        max_turns: CONVERSATION_MAX_TURNS,
+        ttl_minutes: CONVERSATION_TTL / (60 * 1000),
+        active_conversations: conversations.size,
+        reset_phrases: getLanguage(userSettings.defaults.language).resetCommands
+      },
+      local_intents: {
+        enabled: LOCAL_INTENTS_ENABLED,
+        intents: intentRouter.intents
+      },
+      answer_cache: {
+        enabled: ANSWER_CACHE_TTL > 0,
+        ttl_minutes: ANSWER_CACHE_TTL / (60 * 1000),
+        ...answerCache.stats()
+      },
+      api: {
+        deadline_ms: LLM_DEADLINE_MS,
+        providers: llm.describe(),
+        tools: TOOLS_ENABLED ? toolRegistry.list() : []
+      }
+    });
+  });
+
+  // Help endpoint (?uid= shows that user's wake words, ?lang= the help in another language)
+  router.get('/help', (req, res) => {
+    const settings = userSettings.get(req.query.uid);
+    const language = findLanguage(req.query.lang) || getLanguage(settings.language);
+    const names = wakeWordDisplayNames(settings);
+    const exampleQuestions = [
+      'what is the weather like in Sydney, Australia?',
+      'can you help me solve a math problem?',
+      'what are the latest news headlines?',
+      'how do I make a chocolate cake?'
+    ];
+
+    res.status(200).json({
+      title: 'Omi AI Chat Plugin - How to Use',
+      description: `Learn how to interact with ${settings.assistant_name}, your AI assistant`,
+      trigger_phrases: {
+        description: 'Start your message with one of these phrases to activate the AI:',
+        phrases: triggerPhrases(settings)
+      },
+      examples: [
+        ...exampleQuestions.map((question, i) => `Hey ${names[i % names.length]}, ${question}`),
+        'hey what time is it?'
+      ],
+      help_keywords: {
+        description: 'You can also ask for help using these words:',
+        keywords: language.helpKeywords
+      },
+      help_message: helpMessage(settings, language),
+      language: language.code,
+      available_languages: Object.keys(LANGUAGES),
+      note: 'The AI will only respond when you use the trigger phrases. Regular messages without these phrases will be ignored unless you\'re asking for help.',
+      features: {
+        web_search: 'Built-in web search for current information',
+        natural_language: 'Understands natural conversation patterns',
+        rate_limiting: 'Smart rate limiting to prevent API errors',
+        conversation_memory: `Remembers recent questions so you can ask follow-ups. Say "Hey ${names[0]}, start over" to reset.`,
+        instant_answers: `Time, date, arithmetic and unit conversions are answered instantly, e.g. "Hey ${names[0]}, convert 5 miles to km".`
+      }
+    });
+  });
+
+  // Rate limit status endpoint
+  router.get('/rate-limit/:userId', (req, res) => {
+    const { userId } = req.params;
+    const status = getRateLimitStatus(userId);
+
+    res.status(200).json({
+      user_id: userId,
+      rate_limit: status,
+      usage: usageTracker.getUsage(userId),
+      message: status.isLimited ? 
+        `Rate limited. Try again in ${status.timeUntilReset} minutes.` :
+        `${status.remaining} notifications remaining this hour.`
+    });
+  });
+
+  // Speaker policy: who may invoke the assistant for this user
+  router.get('/users/:uid/speaker-policy', (req, res) => {
+    const { uid } = req.params;
+    res.status(200).json({
+      user_id: uid,
+      speaker_policy: userSettings.get(uid).speaker_policy,
+      available_policies: SPEAKER_POLICIES
+    });
+  });
+
+  router.put('/users/:uid/speaker-policy', settingsAuth, (req, res) => {
+    const { uid } = req.params;
+    const policy = req.body && req.body.speaker_policy;
+
+    if (!SPEAKER_POLICIES.includes(policy)) {
+      return res.status(400).json({
+        error: 'Invalid speaker policy',
+        message: `speaker_policy must be one of: ${SPEAKER_POLICIES.join(', ')}`
+      });
+    }
+
+    userSettings.update(uid, { speaker_policy: policy });
+    logger.info('🗣️ Speaker policy updated', { uid, speaker_policy: policy });
+    res.status(200).json({ user_id: uid, speaker_policy: policy });
+  });
+
+  // Per-user settings (partial updates: only the fields in the body change)
+  router.get('/users/:uid/settings', (req, res) => {
+    const { uid } = req.params;
+    res.status(200).json({
+      user_id: uid,
+      settings: userSettings.get(uid),
+      customized: userSettings.isSetupComplete(uid)
+    });
+  });
+
+  router.put('/users/:uid/settings', settingsAuth, (req, res) => {
+    const { uid } = req.params;
+
+    try {
+      const settings = userSettings.update(uid, req.body);
+      logger.info('⚙️ Settings updated', { uid, fields: Object.keys(req.body) });
+      res.status(200).json({ user_id: uid, settings });
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      res.status(400).json({ error: error.message, details: error.details });
+    }
+  });
+
+  router.delete('/users/:uid/settings', settingsAuth, (req, res) => {
+    const { uid } = req.params;
+    userSettings.reset(uid);
+    logger.info('⚙️ Settings reset to defaults', { uid });
+    res.status(200).json({ user_id: uid, settings: userSettings.get(uid) });
+  });
+
+  router.get('/users/:uid/timezone', (req, res) => {
+    const { uid } = req.params;
+    res.status(200).json({ user_id: uid, timezone: userSettings.get(uid).timezone });
+  });
+
+  router.put('/users/:uid/timezone', settingsAuth, (req, res) => {
+    const { uid } = req.params;
+
+    try {
+      userSettings.update(uid, { timezone: req.body && req.body.timezone });
+      logger.info('🕒 Timezone updated', { uid, timezone: req.body.timezone });
+      res.status(200).json({ user_id: uid, timezone: req.body.timezone });
+    } catch (error) {
+      if (error.statusCode !== 400) throw error;
+      res.status(400).json({ error: 'Invalid timezone', message: error.details[0] });
+    }
+  });
+
+  // Omi app setup check: setup is complete once the user has saved settings
+  router.get('/setup-completed', (req, res) => {
+    const { uid } = req.query;
+
+    if (!uid) {
+      return res.status(400).json({ error: 'Missing uid', message: 'The uid query parameter is required' });
+    }
+
+    res.status(200).json({ is_setup_completed: userSettings.isSetupComplete(uid) });
+  });
+
+  // Prometheus metrics
+  router.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // Admin API (Authorization: Bearer <ADMIN_TOKEN>; see lib/adminAuth.js)
+  router.use('/admin', adminAuth);
+
+  // Active transcript sessions
+  router.get('/admin/sessions', (req, res) => {
+    const sessions = sessionTranscripts.entries().map(([sessionId, { uid, segments }]) => ({
+      session_id: sessionId,
+      uid,
+      segments: segments.length,
+      speakers: [...new Set(segments.map(segment => segment.speaker).filter(Boolean))],
+      last_segment_end: segments.length > 0 ? segments[segments.length - 1].end : null,
+      silence_timer_pending: silenceTimers.has(sessionId)
+    }));
+
+    res.status(200).json({ count: sessions.length, sessions });
+  });
+
+  // One session's merged segments and what the trigger rules make of them now
+  // (?uid= evaluates it with another user's settings)
+  router.get('/admin/sessions/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    const session = sessionTranscripts.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({ error: 'Not Found', message: 'No active session with that id' });
+    }
+
+    const sessionSegments = session.segments;
+    const uid = req.query.uid || session.uid;
+    const settings = userSettings.get(uid);
+    const speakerSegments = invokingSegments(sessionSegments, settings.speaker_policy);
+    const language = detectLanguage(speakerSegments) || getLanguage(settings.language);
+    const trigger = evaluateTrigger({
+      segments: speakerSegments,
+      detector: getWakeWordDetector(settings, language),
+      language
+    });
+    const utterance = analyzeUtterance(
+      speakerSegments,
+      trigger.wakeWord ? trigger.wakeWord.questionSegmentIndex : 0,
+      UTTERANCE_OPTIONS
+    );
+
+    res.status(200).json({
+      session_id: sessionId,
+      uid,
+      speaker_policy: settings.speaker_policy,
+      segments: sessionSegments,
+      invoking_segments: speakerSegments.length,
+      transcript: trigger.transcript,
+      trigger: {
+        invoke: trigger.invoke,
+        help: trigger.help,
+        reason: trigger.reason,
+        language: trigger.language,
+        matches: trigger.matches,
+        question: trigger.wakeWord ? trigger.wakeWord.question : null
+      },
+      utterance,
+      silence_timer_pending: silenceTimers.has(sessionId),
+      decisions: decisionLog.list({ sessionId })
+    });
+  });
+
+  // Force-clear a session, e.g. one stuck on a half-heard question
+  router.delete('/admin/sessions/:sessionId', (req, res) => {
+    const { sessionId } = req.params;
+    clearTimeout(silenceTimers.get(sessionId));
+    silenceTimers.delete(sessionId);
+
+    if (!sessionTranscripts.delete(sessionId)) {
+      return res.status(404).json({ error: 'Not Found', message: 'No active session with that id' });
+    }
+
+    logger.info('🧹 Admin cleared session', { session_id: sessionId });
+    res.status(200).json({ session_id: sessionId, cleared: true });
+  });
+
+  // Reset a user's hourly notification allowance
+  router.delete('/admin/users/:uid/notification-history', (req, res) => {
+    const { uid } = req.params;
+    notificationHistory.delete(uid);
+    logger.info('🧹 Admin reset notification history', { uid });
+    res.status(200).json({ user_id: uid, rate_limit: getRateLimitStatus(uid) });
+  });
+
+  // Outbound notification queue state (optionally filtered with ?uid=). Items
+  // carry uids and delivery errors, so this is admin-only
+  router.get('/admin/notification-queue', (req, res) => {
+    res.status(200).json({
+      response_mode: RESPONSE_MODE,
+      queue: notificationQueue.getState(req.query.uid)
+    });
+  });
+
+  // Recent decisions, newest first (?uid=, ?session_id=, ?outcome=, ?limit=)
+  router.get('/admin/decisions', (req, res) => {
+    const limit = parseInt(req.query.limit, 10);
+    res.status(200).json({
+      capacity: decisionLog.capacity,
+      decisions: decisionLog.list({
+        uid: req.query.uid,
+        sessionId: req.query.session_id,
+        outcome: req.query.outcome,
+        limit: limit > 0 ? limit : undefined
+      })
+    });
+  });
+
+  // Export a user's answered exchanges (?format=json|markdown|ndjson, ?from= and ?to= as YYYY-MM-DD, UTC)
+  router.get('/admin/users/:uid/history', (req, res) => {
+    const { uid } = req.params;
+    const format = req.query.format || 'json';
+
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    const range = parseDateRange(req.query.from, req.query.to);
+    if (range.error) {
+      return res.status(400).json({ error: 'Invalid date range', message: range.error });
+    }
+
+    const exchanges = exchangeHistory.list(uid, range);
+    const { contentType, extension, body } = formatExport(uid, exchanges, format, {
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+    logger.info('📤 Exported history', { uid, format, exchanges: exchanges.length });
+
+    res.set('Content-Disposition', `attachment; filename="omi-history-${encodeURIComponent(uid)}.${extension}"`);
+    res.type(contentType).send(body);
+  });
+
+  // Delete my data: everything stored about a user except usage totals, which
+  // are kept until their period ends so deleting data cannot reset a quota
+  router.delete('/admin/users/:uid/data', (req, res) => {
+    const { uid } = req.params;
+
+    const ownedSessions = sessionTranscripts.entries()
+      .filter(([, session]) => session.uid === uid)
+      .map(([sessionId]) => sessionId);
+    for (const sessionId of ownedSessions) {
+      clearTimeout(silenceTimers.get(sessionId));
+      silenceTimers.delete(sessionId);
+      sessionTranscripts.delete(sessionId);
+    }
+
+    const deleted = {
+      history: exchangeHistory.purge(uid),
+      conversation: conversations.clear(uid),
+      answer_cache: answerCache.purge(uid),
+      continuation: storage.collection('continuations').delete(uid),
+      notes: storage.collection('notes').delete(uid),
+      reminders: reminderScheduler.cancelForUser(uid),
+      queued_notifications: notificationQueue.cancelForUser(uid),
+      settings: userSettings.isSetupComplete(uid),
+      notification_history: notificationHistory.delete(uid),
+      webhook_rate_limit: storage.collection('webhookRequests').delete(`uid:${uid}`),
+      sessions: ownedSessions.length,
+      decisions: decisionLog.forget(uid)
+    };
+    userSettings.reset(uid);
+
+    logger.info('🗑️ Deleted user data', { uid, ...deleted });
+    res.status(200).json({ user_id: uid, deleted, retained: ['usage'] });
+  });
+
+  /**
+   * Counts and records each transcript webhook by outcome once the response is sent.
+   * Handlers set res.locals.outcome (and res.locals.decision with the trigger
+   * details); requests stopped earlier are classified by status.
+   */
+  function trackWebhookOutcome(req, res, next) {
+    const startedAt = Date.now();
+
+    res.on('finish', () => {
+      let outcome = res.locals.outcome;
+      if (!outcome) {
+        if (res.statusCode === 429) outcome = 'rate_limited';
+        else if (res.statusCode >= 500) outcome = 'error';
+        else if (res.statusCode >= 400) outcome = 'rejected';
+        else outcome = 'ignored';
+      }
+      if (outcome === 'rate_limited') rateLimitRejections.inc({ limit: 'webhook' });
+
+      webhookOutcomes.inc({ outcome });
+      decisionLog.record({
+        request_id: req.id,
+        session_id: req.body && typeof req.body.session_id === 'string' ? req.body.session_id : null,
+        uid: req.query.uid || null,
+        outcome,
+        status: res.statusCode,
+        ...res.locals.decision
+      });
+      logger.info('📥 Webhook handled', { outcome, status: res.statusCode, duration_ms: Date.now() - startedAt });
+    });
+
+    next();
+  }
+
+  // Main Omi webhook endpoint
+  router.post('/omi-webhook', trackWebhookOutcome, webhookAuth, webhookRateLimit, async (req, res) => {
+    try {
+      const { session_id, segments } = req.body;
+      logger.debug('📥 Received webhook from Omi', { session_id, body: req.body });
+      // Omi passes the user id as a query parameter; fall back to the session for memory
+      const uid = req.query.uid || session_id;
+
+      // Validate the payload and the uid Omi passes in the query string
+      const validationErrors = validateTranscriptWebhook(req.body, req.query, { requireUid: WEBHOOK_REQUIRE_UID });
+      if (validationErrors.length > 0) {
+        logger.warn('❌ Invalid webhook payload', { problems: validationErrors });
+        res.locals.outcome = 'invalid';
+        return res.status(400).json({ 
+          error: 'Invalid webhook payload',
+          details: validationErrors
+        });
+      }
+
+      // Merge new segments into the session; revised segments replace the ones they overlap
+      const session = sessionTranscripts.get(session_id);
+      const sessionSegments = mergeSegments(session ? session.segments : [], segments);
+      sessionTranscripts.set(session_id, { uid, segments: sessionSegments }, { ttlMs: SESSION_TTL });
+
+      // New speech arrived, so the user has not gone silent
+      clearTimeout(silenceTimers.get(session_id));
+      silenceTimers.delete(session_id);
+
+      // Only the speakers allowed by the user's policy can invoke the assistant
+      const settings = userSettings.get(uid);
+      const speakerPolicy = settings.speaker_policy;
+      const speakerSegments = invokingSegments(sessionSegments, speakerPolicy);
+
+      // Trigger words, help keywords and help text follow the language being spoken
+      const spokenLanguage = detectLanguage(speakerSegments);
+      const language = spokenLanguage || getLanguage(settings.language);
+      const wakeWordDetector = getWakeWordDetector(settings, language);
+
+      // Decide whether the invoking speakers addressed the assistant (see lib/triggers.js)
+      const trigger = evaluateTrigger({ segments: speakerSegments, detector: wakeWordDetector, language });
+      res.locals.decision = { reason: trigger.reason, language: language.code, matches: trigger.matches };
+
+      logger.info('📝 Accumulated transcript for session', {
+        session_id,
+        transcript: trigger.transcript,
+        segments: sessionSegments.length,
+        invoking_segments: speakerSegments.length,
+        speaker_policy: speakerPolicy,
+        language: language.code,
+        language_detected: Boolean(spokenLanguage)
+      });
+
+      const { wakeWord } = trigger;
+      const hasTriggerPhrase = wakeWord !== null;
+
+      if (wakeWord) {
+        logger.info('👂 Wake word detected', { wake_word: wakeWord.heard, confidence: wakeWord.confidence });
+      }
+
+      if (!trigger.invoke) {
+        if (trigger.help) {
+          // User is asking for help, provide helpful response
+          logger.info('💡 User asked for help, providing instructions');
+          // Clear the session transcript after help response
+          sessionTranscripts.delete(session_id);
+          res.locals.outcome = 'help';
+          return res.status(200).json({ 
+            message: 'You can talk to me naturally! Try asking questions or giving commands.',
+            help_response: helpMessage(settings, language),
+            instructions: `Ask questions naturally or use trigger phrases like ${wakeWordDisplayNames(settings).map(name => `"Hey ${name}"`).join(', ')}, or just "hey" to be explicit.`
+          });
+        } else {
+          // User didn't trigger AI interaction - silently ignore
+          logger.info('⏭️ Skipping transcript - no AI interaction detected');
+          res.locals.outcome = 'ignored';
+          return res.status(200).json({}); // Return empty response - no message
+        }
+      }
+
+      // Wait until the user has finished the utterance - never answer a half-spoken question
+      const utterance = analyzeUtterance(
+        speakerSegments,
+        hasTriggerPhrase ? wakeWord.questionSegmentIndex : 0,
+        UTTERANCE_OPTIONS
+      );
+
+      if (!utterance.complete) {
+        if (req.query.uid && UTTERANCE_SILENCE_MS > 0) {
+          armSilenceTimer(session_id, uid);
+        }
+        logger.info('⏳ Waiting for the user to finish speaking');
+        res.locals.outcome = 'waiting';
+        return res.status(200).json({});
+      }
+
+      logger.info('🏁 Utterance complete', { reason: utterance.reason });
+      const utteranceSegments = speakerSegments.slice(0, utterance.endIndex + 1);
+      // Everyone's speech up to the end of the question, for context
+      const utteranceEnd = sessionSegments.indexOf(speakerSegments[utterance.endIndex]) + 1;
+      const contextSegments = sessionSegments.slice(0, utteranceEnd);
+      const remainingSegments = sessionSegments.slice(utteranceEnd);
+
+      // Extract the question from the finished utterance
+      let question = '';
+
+      if (hasTriggerPhrase) {
+        // Everything spoken after the wake word, even if it continues in later segments
+        question = wakeWordDetector.detect(utteranceSegments).question;
+      } else {
+        // For natural language detection, use the full utterance
+        question = utteranceSegments.map(segment => segment.text).join(' ').trim();
+      }
+
+      res.locals.decision.utterance = utterance.reason;
+
+      if (!question) {
+        logger.info('⏭️ Skipping transcript - no question after trigger phrase');
+        // Start afresh, or every later segment would end up here again
+        sessionTranscripts.delete(session_id);
+        res.locals.outcome = 'ignored';
+        res.locals.decision.reason = 'empty_question';
+        return res.status(200).json({ 
+          message: 'Transcript ignored - no question provided' 
+        });
+      }
+
+      // "Start over" / "forget that" wipes the conversation memory
+      if (isResetCommand(question, language)) {
+        conversations.clear(uid);
+        sessionTranscripts.delete(session_id);
+        logger.info('🧹 Cleared conversation history', { uid });
+        res.locals.outcome = 'command';
+        res.locals.decision.command = 'reset';
+        return res.status(200).json({ message: language.replies.reset });
+      }
+
+      // "More" continues the last answer that was too long to deliver at once;
+      // with nothing left over it is an ordinary follow-up question
+      if (responseShaper.hasMore(uid) && isMoreCommand(question, language)) {
+        sessionTranscripts.delete(session_id);
+        const nextPart = responseShaper.next(uid, language);
+        logger.info('➡️ Continuing previous answer', { uid });
+        res.locals.outcome = 'command';
+        res.locals.decision.command = 'more';
+        return res.status(200).json({ message: nextPart });
+      }
+
+      // Keep anything spoken after the answered utterance for the next question
+      if (remainingSegments.length > 0) {
+        sessionTranscripts.set(session_id, { uid, segments: remainingSegments }, { ttlMs: SESSION_TTL });
+      } else {
+        sessionTranscripts.delete(session_id);
+      }
+      res.locals.outcome = 'answered';
+      res.locals.decision.question = question;
+      const exchange = { sessionId: session_id, trigger: summarizeTrigger(trigger), askedAt: clock() };
+
+      // Async mode: acknowledge now, deliver the answer later as an Omi notification
+      // Local intents are instant, so they are answered inline in both modes
+      if (RESPONSE_MODE === 'async' && req.query.uid) {
+        const localAnswer = answerLocally(uid, question, spokenLanguage, exchange);
+        if (localAnswer) {
+          return res.status(200).json({ message: responseShaper.shape(uid, localAnswer, 'chat', language)[0] });
+        }
+        deliverInBackground(uid, question, contextSegments, spokenLanguage, exchange);
+        return res.status(200).json({});
+      }
+
+      // Return response so Omi shows content in chat and sends a single notification
+      const aiResponse = await generateAnswer(uid, question, {
+        contextSegments,
+        canNotify: Boolean(req.query.uid),
+        language: spokenLanguage,
+        exchange
+      });
+      const [message] = responseShaper.shape(uid, aiResponse, 'chat', language);
+      return res.status(200).json({ message });
+
+    } catch (error) {
+      logger.error('❌ Error processing webhook', { error });
+      res.locals.outcome = 'error';
+
+      // Handle specific error types
+      if (error.message && error.message.includes('API Error')) {
+        // Omi API error response
+        res.status(500).json({
+          error: 'Omi API Error',
+          message: 'Omi error message', //todo
+          //message: error.message
+        });
+      } else if (error.message && (error.message.includes('OMI_APP_ID not set') || error.message.includes('OMI_APP_SECRET not set'))) {
+        // Configuration error
+        res.status(500).json({
+          error: 'Configuration Error',
+          message: 'Omi config error', //todo
+         // message: error.message
+        });
+      } else {
+        // Other errors
+        res.status(500).json({
+          error: 'Internal Server Error',
+          message: error.message
+        });
+      }
+    }
+  });
+
+  // Omi memory (conversation) created webhook: summary, action items and decisions
+  router.post('/memory-created', webhookAuth, webhookRateLimit, async (req, res) => {
+    try {
+      const memory = req.body;
+      const uid = req.query.uid;
+
+      const validationErrors = validateMemoryWebhook(memory, req.query, { requireUid: WEBHOOK_REQUIRE_UID });
+      if (validationErrors.length > 0) {
+        logger.warn('❌ Invalid memory payload', { problems: validationErrors });
+        return res.status(400).json({
+          error: 'Invalid memory payload',
+          details: validationErrors
+        });
+      }
+
+      const spoken = memory.transcript_segments.some(segment => segment.text.trim());
+      if (memory.discarded || !spoken) {
+        logger.info('⏭️ Skipping memory - discarded or empty', { memory_id: memory.id });
+        return res.status(200).json({});
+      }
+
+      logger.info('📚 Summarizing memory', { memory_id: memory.id, segments: memory.transcript_segments.length });
+      if (uid) {
+        const quota = usageTracker.check(uid);
+        if (!quota.allowed) {
+          logger.info('💸 Skipping summary - user is over the usage limit', { uid, period: quota.period });
+          rateLimitRejections.inc({ limit: 'usage' });
+          return res.status(200).json({ message: 'Summary skipped - usage limit reached' });
+        }
+      }
+
+      // Same masking as questions, for users with the pii_redaction setting on
+      const redaction = userSettings.get(uid).pii_redaction ? createRedaction({ types: PII_REDACTION_TYPES }) : null;
+      const signal = LLM_DEADLINE_MS > 0 ? AbortSignal.timeout(LLM_DEADLINE_MS) : undefined;
+      const summary = await summarizeConversation(llm, memory, { redaction, signal });
+      recordRedactions(uid, redaction);
+      if (uid) {
+        usageTracker.record(uid, summary.usage, summary.model);
+        recordFailedUsage(uid, summary.failures);
+      }
+      logger.info('✨ Summary ready', {
+        provider: summary.provider,
+        action_items: summary.actionItems.length,
+        decisions: summary.decisions.length
+      });
+
+      // Optional digest notification, skipped rather than queued when the user is already at the limit
+      if (MEMORY_DIGEST_NOTIFICATIONS && uid) {
+        if (getRateLimitStatus(uid).isLimited) {
+          logger.info('⏭️ Skipping memory digest - user is rate limited', { uid });
+        } else {
+          notificationQueue.enqueue(uid, formatDigest(summary));
+        }
+      }
+
+      return res.status(200).json({
+        message: formatSummaryMessage(summary),
+        summary: summary.summary,
+        action_items: summary.actionItems,
+        decisions: summary.decisions
+      });
+    } catch (error) {
+      if (req.query.uid) recordFailedUsage(req.query.uid, error.failures);
+      logger.error('❌ Error summarizing memory', { error });
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Could not summarize the conversation'
+      });
+    }
+  });
+
+  // Error handling middleware
+  router.use((err, req, res, next) => {
+    // Body parser errors (malformed JSON, payload too large) are the client's fault
+    const status = err.status || err.statusCode;
+    if (status >= 400 && status < 500) {
+      logger.warn('⚠️ Rejected request', { status, error: err.message });
+      return res.status(status).json({
+        error: status === 413 ? 'Payload Too Large' : 'Bad Request',
+        message: err.expose ? err.message : 'Invalid request'
+      });
+    }
+
+    logger.error('🚨 Unhandled error', { error: err });
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Something went wrong on the server'
+    });
+  });
+
+  /**
+   * Waits for a promise, but no longer than a time limit.
+   * @param {Promise} promise
+   * @param {number} ms - Time limit
+   * @returns {Promise<boolean>} False if the time ran out first
+   */
+  function settleWithin(promise, ms) {
+      let timer;
+      const timeout = new Promise(resolve => {
+          timer = setTimeout(() => resolve(false), Math.max(0, ms));
+      });
+      return Promise.race([promise.then(() => true, () => true), timeout])
+          .finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Starts storage expiry and re-arms reminders saved before the last restart.
+   * A router that has been stopped stays stopped.
+   * @returns {object} The router
+   */
+  router.start = () => {
+    if (started || stopping) return router;
+    started = true;
+
+    // Sessions, rate-limit history and conversations expire through storage TTLs
+    storage.startExpiry(STORAGE_SWEEP_INTERVAL);
+
+    const restoredReminders = reminderScheduler.restore();
+    if (restoredReminders > 0) {
+      logger.info('⏰ Restored pending reminders', { count: restoredReminders });
+    }
+    return router;
+  };
+
+  /**
+   * Stops accepting requests, waits for in-flight requests and background answers,
+   * then clears every timer. Storage the router created itself is closed; injected
+   * storage is left open for its owner.
+   * @param {object} [stopOptions]
+   * @param {number} [stopOptions.timeoutMs] - Longest wait for in-flight work
+   * @returns {Promise<boolean>} False if the wait timed out
+   */
+  router.stop = async ({ timeoutMs = 10000 } = {}) => {
+    stopping = true;
+    logger.info('🛑 Stopping, draining in-flight requests', { in_flight: inFlight, background: backgroundTasks.size });
+
+    // Unanswered sessions stay in storage; only their timers go
+    for (const timer of silenceTimers.values()) clearTimeout(timer);
+    silenceTimers.clear();
+
+    const deadline = Date.now() + timeoutMs;
+    const idle = new Promise(resolve => {
+      idleWaiters.push(resolve);
+      notifyIfIdle();
+    });
+    // Deliver answers that are ready; retries and rate-limited ones stay queued in memory
+    const drained = await settleWithin(idle, timeoutMs) &&
+      await settleWithin(notificationQueue.flush(), deadline - Date.now());
+    if (!drained) {
+      logger.warn('⚠️ Stopped before in-flight work finished', {
+        in_flight: inFlight,
+        background: backgroundTasks.size,
+        queued_notifications: notificationQueue.size
+      });
+    }
+
+    notificationQueue.stop();
+    reminderScheduler.stop();
+    if (injectedStorage) storage.stopExpiry();
+    else storage.close();
+    started = false;
+    return drained;
+  };
+
+  return router;
+}
+
+module.exports = {
+  createOmiChatRouter
+};
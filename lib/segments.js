@@ -0,0 +1,101 @@
+/**
+ * Transcript segment handling for streamed Omi webhooks.
+ *
+ * Omi re-sends segments while it refines them: the same id with corrected text,
+ * or a new id covering the same stretch of audio. Segments are merged so each
+ * stretch of speech appears once, with its latest text.
+ */
+
+// Two segments starting this close together are the same piece of speech
+const START_TOLERANCE_SECONDS = 0.05;
+
+// Share of the shorter segment that must overlap for a revision to replace it
+const OVERLAP_RATIO = 0.5;
+
+/**
+ * Checks whether an incoming segment revises an existing one.
+ * @param {object} existing - Segment already in the session
+ * @param {object} incoming - Segment from the latest webhook
+ * @returns {boolean} True if incoming should replace existing
+ */
+function isRevision(existing, incoming) {
+  if (existing.id && incoming.id && existing.id === incoming.id) return true;
+
+  const timed = [existing.start, existing.end, incoming.start, incoming.end].every(Number.isFinite);
+  if (!timed) {
+    // Without timings only an exact repeat can be recognised
+    return existing.text === incoming.text && existing.speaker === incoming.speaker;
+  }
+
+  if (Math.abs(existing.start - incoming.start) < START_TOLERANCE_SECONDS) return true;
+
+  const overlap = Math.min(existing.end, incoming.end) - Math.max(existing.start, incoming.start);
+  const shorter = Math.min(existing.end - existing.start, incoming.end - incoming.start);
+  return shorter > 0 && overlap / shorter >= OVERLAP_RATIO;
+}
+
+/**
+ * Merges newly received segments into a session's segments.
+ * Revisions replace the segments they overlap; the result is ordered by start time.
+ * @param {Array<object>} existing - Segments already in the session
+ * @param {Array<object>} incoming - Segments from the latest webhook
+ * @returns {Array<object>} Merged segments
+ */
+function mergeSegments(existing, incoming) {
+  let merged = existing.slice();
+
+  for (const segment of incoming) {
+    if (!segment || typeof segment.text !== 'string') continue;
+    merged = merged.filter(current => !isRevision(current, segment));
+    merged.push(segment);
+  }
+
+  // Stable sort keeps arrival order for segments without timings
+  return merged
+    .map((segment, index) => ({ segment, index }))
+    .sort((a, b) => {
+      const aStart = Number.isFinite(a.segment.start) ? a.segment.start : Infinity;
+      const bStart = Number.isFinite(b.segment.start) ? b.segment.start : Infinity;
+      return aStart - bStart || a.index - b.index;
+    })
+    .map(entry => entry.segment);
+}
+
+/**
+ * Decides whether the utterance starting at a segment has been fully spoken.
+ *
+ * It is complete when a pause of at least `pauseSeconds` follows it, or when the
+ * latest segment ends with terminal punctuation and carries enough words.
+ * Otherwise the user is probably still talking and should not be answered yet.
+ *
+ * @param {Array<object>} segments - Merged session segments
+ * @param {number} fromIndex - Index of the segment where the utterance starts; pauses
+ *   before it (such as one after a lone "Hey Omi.") do not end it
+ * @param {object} options
+ * @param {number} options.pauseSeconds - Gap between segments that ends an utterance
+ * @param {number} options.minWords - Words needed before punctuation alone counts as finished
+ * @returns {{complete: boolean, endIndex: number, reason: string|null}} Utterance status
+ */
+function analyzeUtterance(segments, fromIndex, { pauseSeconds, minWords }) {
+  for (let i = fromIndex; i < segments.length - 1; i++) {
+    const gap = segments[i + 1].start - segments[i].end;
+    if (Number.isFinite(gap) && gap >= pauseSeconds) {
+      return { complete: true, endIndex: i, reason: 'pause' };
+    }
+  }
+
+  const lastIndex = segments.length - 1;
+  const spoken = segments.slice(fromIndex).map(segment => segment.text).join(' ').trim();
+  const wordCount = spoken ? spoken.split(/\s+/).length : 0;
+
+  if (/[.?!]["')\]]*$/.test(spoken) && wordCount >= minWords) {
+    return { complete: true, endIndex: lastIndex, reason: 'punctuation' };
+  }
+
+  return { complete: false, endIndex: lastIndex, reason: null };
+}
+
+module.exports = {
+  mergeSegments,
+  analyzeUtterance
+};
@@ -0,0 +1,328 @@
+/**
+ * Per-user assistant settings.
+ *
+ * This is the single source for everything that used to be hard-coded per
+ * deployment: the assistant's name and wake words, its persona, how long its
+ * answers are, whether it may search the web, who may invoke it, which
+ * timezone it answers in and whether personal data is masked before questions
+ * reach the LLM provider. The webhook, /help and /health all read from here.
+ *
+ * Users without saved settings get the deployment defaults.
+ */
+
+const { DEFAULT_NAMES } = require('./wakeWord');
+const { SPEAKER_POLICIES } = require('./speakers');
+const { getLanguage } = require('./languages');
+const { logger } = require('./logger');
+
+const ANSWER_LENGTHS = {
+  short: 'Keep answers to one or two sentences; they are read out on a wearable.',
+  medium: 'Keep answers to a short paragraph.',
+  long: 'Give complete, detailed answers.'
+};
+
+const NAME_PATTERN = /^[a-z][a-z' -]{0,29}$/i;
+const LANGUAGE_PATTERN = /^(auto|[a-z]{2,3}(-[A-Z]{2})?)$/;
+const MAX_WAKE_WORDS = 10;
+const MAX_PERSONA_LENGTH = 1000;
+
+/**
+ * Checks that a timezone name is one Intl understands.
+ * @param {string} timezone - IANA timezone, e.g. "Europe/Berlin"
+ * @returns {boolean} True if dates can be formatted in it
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Field validators: return the normalized value, or throw with a message
+const FIELDS = {
+  assistant_name(value) {
+    if (typeof value !== 'string' || !NAME_PATTERN.test(value.trim())) {
+      throw new Error('must be 1-30 letters, spaces, hyphens or apostrophes');
+    }
+    return value.trim();
+  },
+  wake_words(value) {
+    if (!Array.isArray(value) || value.length === 0 || value.length > MAX_WAKE_WORDS) {
+      throw new Error(`must be an array of 1-${MAX_WAKE_WORDS} names`);
+    }
+    return [...new Set(value.map(word => {
+      if (typeof word !== 'string' || !NAME_PATTERN.test(word.trim())) {
+        throw new Error('each wake word must be 1-30 letters, spaces, hyphens or apostrophes');
+      }
+      return word.trim().toLowerCase();
+    }))];
+  },
+  persona(value) {
+    if (typeof value !== 'string' || value.length > MAX_PERSONA_LENGTH) {
+      throw new Error(`must be a string of at most ${MAX_PERSONA_LENGTH} characters`);
+    }
+    return value.trim();
+  },
+  answer_length(value) {
+    if (!Object.prototype.hasOwnProperty.call(ANSWER_LENGTHS, value)) {
+      throw new Error(`must be one of: ${Object.keys(ANSWER_LENGTHS).join(', ')}`);
+    }
+    return value;
+  },
+  web_search(value) {
+    if (typeof value !== 'boolean') throw new Error('must be true or false');
+    return value;
+  },
+  speaker_policy(value) {
+    if (!SPEAKER_POLICIES.includes(value)) {
+      throw new Error(`must be one of: ${SPEAKER_POLICIES.join(', ')}`);
+    }
+    return value;
+  },
+  timezone(value) {
+    if (!isValidTimezone(value)) {
+      throw new Error('must be an IANA timezone name, e.g. "America/New_York"');
+    }
+    return value;
+  },
+  pii_redaction(value) {
+    if (typeof value !== 'boolean') throw new Error('must be true or false');
+    return value;
+  },
+  language(value) {
+    if (typeof value !== 'string' || !LANGUAGE_PATTERN.test(value)) {
+      throw new Error('must be "auto" or a language code such as "en" or "pt-BR"');
+    }
+    return value;
+  }
+};
+
+/**
+ * Validates a partial settings update.
+ * @param {object} patch - Fields to change
+ * @returns {{settings: object, errors: string[]}} Normalized fields and any problems
+ */
+function validateSettings(patch) {
+  const settings = {};
+  const errors = [];
+
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { settings, errors: ['settings must be a JSON object'] };
+  }
+
+  for (const [field, value] of Object.entries(patch)) {
+    if (!FIELDS[field]) {
+      errors.push(`${field} is not a setting`);
+      continue;
+    }
+    try {
+      settings[field] = FIELDS[field](value);
+    } catch (error) {
+      errors.push(`${field} ${error.message}`);
+    }
+  }
+
+  return { settings, errors };
+}
+
+/**
+ * Reads deployment-wide defaults from the environment.
+ * @param {object} env - Usually process.env
+ * @returns {object} Complete default settings
+ */
+function defaultSettingsFromEnv(env) {
+  const defaults = {
+    assistant_name: 'Omi',
+    wake_words: Object.keys(DEFAULT_NAMES),
+    persona: '',
+    answer_length: 'medium',
+    web_search: true,
+    speaker_policy: 'any',
+    timezone: 'UTC',
+    language: 'auto',
+    pii_redaction: false
+  };
+
+  const fromEnv = {
+    assistant_name: env.ASSISTANT_NAME,
+    wake_words: env.WAKE_WORDS && env.WAKE_WORDS.split(',').map(word => word.trim()).filter(Boolean),
+    persona: env.ASSISTANT_PERSONA,
+    answer_length: env.ANSWER_LENGTH,
+    speaker_policy: env.SPEAKER_POLICY,
+    timezone: env.DEFAULT_TIMEZONE,
+    language: env.ASSISTANT_LANGUAGE,
+    pii_redaction: env.PII_REDACTION && env.PII_REDACTION !== 'false'
+  };
+
+  for (const [field, value] of Object.entries(fromEnv)) {
+    if (value === undefined || value === '') continue;
+    const { settings, errors } = validateSettings({ [field]: value });
+    if (errors.length > 0) {
+      logger.warn('⚠️ Ignoring invalid default setting', { problem: errors[0] });
+    } else {
+      Object.assign(defaults, settings);
+    }
+  }
+
+  return defaults;
+}
+
+/**
+ * Creates the settings store.
+ * @param {object} options
+ * @param {object} options.collection - Storage collection (uid -> saved settings)
+ * @param {object} options.defaults - Complete default settings
+ * @returns {object} Settings store
+ */
+function createSettingsStore({ collection, defaults }) {
+  /**
+   * Gets a user's effective settings.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {object} Saved settings merged over the defaults
+   */
+  function get(uid) {
+    return { ...defaults, ...(uid ? collection.get(uid) : null) };
+  }
+
+  /**
+   * Saves part of a user's settings.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {object} patch - Fields to change
+   * @returns {object} The user's effective settings
+   * @throws {Error} With statusCode 400 and `details` when the patch is invalid
+   */
+  function update(uid, patch) {
+    const { settings, errors } = validateSettings(patch);
+    if (errors.length > 0) {
+      const error = new Error('Invalid settings');
+      error.statusCode = 400;
+      error.details = errors;
+      throw error;
+    }
+
+    collection.set(uid, { ...collection.get(uid), ...settings });
+    return get(uid);
+  }
+
+  /**
+   * Forgets a user's saved settings, returning them to the defaults.
+   * @param {string} uid - The Omi user's unique ID
+   */
+  function reset(uid) {
+    collection.delete(uid);
+  }
+
+  /**
+   * Whether a user has saved settings, which is what completes Omi app setup.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {boolean}
+   */
+  function isSetupComplete(uid) {
+    return collection.has(uid);
+  }
+
+  return {
+    get,
+    update,
+    reset,
+    isSetupComplete,
+    defaults,
+    get size() {
+      return collection.size;
+    }
+  };
+}
+
+/**
+ * Builds the wake-word name table for a user's settings. Built-in names keep
+ * their known ASR misspellings; custom names match exactly or with one typo.
+ * @param {object} settings - Effective settings
+ * @returns {object} Map of name to accepted spellings, for createWakeWordDetector
+ */
+function wakeWordNames(settings) {
+  const names = {};
+  for (const word of [...settings.wake_words, settings.assistant_name.toLowerCase()]) {
+    names[word] = DEFAULT_NAMES[word] || [word];
+  }
+  return names;
+}
+
+/**
+ * Capitalizes each word of a wake word for display ("hey jarvis" -> "Hey Jarvis").
+ * @param {string} word
+ * @returns {string}
+ */
+function titleCase(word) {
+  return word.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Wake words as they are shown to users ("Omi", "Jarvis", ...).
+ * @param {object} settings - Effective settings
+ * @returns {string[]}
+ */
+function wakeWordDisplayNames(settings) {
+  return Object.keys(wakeWordNames(settings)).map(titleCase);
+}
+
+/**
+ * Trigger phrases a user can say, for /help and /health.
+ * @param {object} settings - Effective settings
+ * @returns {string[]}
+ */
+function triggerPhrases(settings) {
+  const names = wakeWordDisplayNames(settings);
+  return [
+    ...names.flatMap(name => [`Hey ${name}`, `Hey, ${name}`, `Hey ${name},`, `Hey, ${name},`]),
+    'hey'
+  ];
+}
+
+/**
+ * The spoken help message.
+ * @param {object} settings - Effective settings
+ * @param {object} [language] - Language table to answer in (see lib/languages)
+ * @returns {string}
+ */
+function helpMessage(settings, language = getLanguage(settings.language)) {
+  return language.help(settings.assistant_name);
+}
+
+/**
+ * System instructions for the assistant's name, persona, answer length and language.
+ * @param {object} settings - Effective settings
+ * @param {object|null} [spokenLanguage] - Detected language table of the question
+ * @returns {string}
+ */
+function buildPersonaInstructions(settings, spokenLanguage = null) {
+  const parts = [`Your name is ${settings.assistant_name}.`];
+
+  if (settings.persona) parts.push(settings.persona);
+  parts.push(ANSWER_LENGTHS[settings.answer_length]);
+  if (settings.language !== 'auto') {
+    const language = new Intl.DisplayNames(['en'], { type: 'language' }).of(settings.language);
+    parts.push(`Always answer in ${language}.`);
+  } else if (spokenLanguage) {
+    parts.push(`The user is speaking ${spokenLanguage.name}; answer in ${spokenLanguage.name}.`);
+  } else {
+    parts.push('Answer in the language the user is speaking.');
+  }
+
+  return parts.join(' ');
+}
+
+module.exports = {
+  createSettingsStore,
+  defaultSettingsFromEnv,
+  validateSettings,
+  isValidTimezone,
+  wakeWordNames,
+  wakeWordDisplayNames,
+  triggerPhrases,
+  helpMessage,
+  buildPersonaInstructions,
+  ANSWER_LENGTHS
+};
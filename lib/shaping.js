@@ -0,0 +1,216 @@
+/**
+ * Response shaping for voice and notification delivery.
+ *
+ * Model answers (especially web-search ones) come back as markdown with inline
+ * citation links and several paragraphs. Before delivery they are flattened to
+ * plain spoken-style text, citations become a short "Sources:" footer, and the
+ * result is fitted into the length budget of the delivery channel.
+ *
+ * Answers over budget are either:
+ * - condensed ("more"): the first part is sent with a "say 'more' to continue"
+ *   hint (in the user's language) and the rest is kept for the user's next
+ *   "Hey Omi, more"
+ * - split ("split"): sent as numbered parts, in order
+ */
+
+const { getLanguage } = require('./languages');
+
+const MAX_SOURCES = 3;
+
+/**
+ * Shortens a URL to the site name used in the sources footer.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function sourceName(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Converts markdown to plain text and pulls out cited links.
+ * @param {string} text - Model output
+ * @returns {{text: string, sources: string[]}} Plain text and unique source sites
+ */
+function stripMarkdown(text) {
+  const urls = [];
+  const cite = url => { urls.push(url); return ''; };
+
+  let plain = (text || '')
+    // Code fences and inline code keep their content
+    .replace(/```[a-z]*\n?([\s\S]*?)```/gi, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    // Parenthesised citations "([site](url))" disappear entirely
+    .replace(/\(\s*\[[^\]]*\]\((https?:\/\/[^)\s]+)\)\s*\)/g, (match, url) => cite(url))
+    // Other links keep their text
+    .replace(/!?\[([^\]]*)\]\((https?:\/\/[^)\s]+)\)/g, (match, label, url) => { cite(url); return label; })
+    // Bare URLs are unreadable aloud
+    .replace(/https?:\/\/[^\s)]+/g, url => cite(url))
+    // Headings, quotes, rules and bullets
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+    .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+    .replace(/^[ \t]*[-*+][ \t]+/gm, '')
+    // Tables: drop separator rows, turn cells into a list
+    .replace(/^[ \t]*\|?[ \t]*:?-{3,}:?[ \t]*(\|[ \t]*:?-{3,}:?[ \t]*)*\|?[ \t]*$/gm, '')
+    .replace(/^[ \t]*\|(.*)\|[ \t]*$/gm, (match, cells) => cells.split('|').map(cell => cell.trim()).filter(Boolean).join(', '))
+    // Emphasis
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1$2')
+    .replace(/(^|[^\w])_(?!\s)([^_\n]+?)_(?!\w)/g, '$1$2');
+
+  // One flowing paragraph: end each line as a sentence, then join
+  plain = plain
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => (/[.!?:;,]$/.test(line) ? line : `${line}.`))
+    .join(' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+
+  const sources = [...new Set(urls.map(sourceName).filter(Boolean))];
+  return { text: plain, sources };
+}
+
+/**
+ * Splits text into chunks of at most maxChars, preferring sentence boundaries.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function chunkText(text, maxChars) {
+  const chunks = [];
+  let current = '';
+
+  // Only break after punctuation followed by a space, so "bom.gov.au" stays whole
+  const sentences = text.split(/(?<=[.!?]["')\]]*)\s+/);
+  const pieces = [];
+
+  // Sentences longer than a chunk are cut at word boundaries
+  for (const sentence of sentences.map(s => s.trim()).filter(Boolean)) {
+    if (sentence.length <= maxChars) {
+      pieces.push(sentence);
+      continue;
+    }
+    let line = '';
+    for (const word of sentence.split(/\s+/)) {
+      if (line && line.length + word.length + 1 > maxChars) {
+        pieces.push(line);
+        line = '';
+      }
+      line = line ? `${line} ${word}` : word.slice(0, maxChars);
+    }
+    if (line) pieces.push(line);
+  }
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Creates a response shaper.
+ * @param {object} options
+ * @param {object} options.budgets - Max characters per channel, e.g. { chat: 1000, notification: 300 }
+ * @param {string} options.overflow - "more" or "split", used for notifications
+ * @param {object} options.continuations - Storage collection holding uid -> remaining parts
+ * @param {number} options.continuationTtlMs - How long a "more" continuation is kept
+ * @returns {object} Shaper
+ */
+function createResponseShaper({ budgets, overflow, continuations, continuationTtlMs }) {
+  /**
+   * Shapes an answer for delivery.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {string} answer - Raw model output
+   * @param {string} channel - "chat" (webhook response) or "notification"
+   * @param {object} [language] - Language table for the sources footer and "more" hint
+   * @returns {string[]} Messages to deliver, in order
+   */
+  function shape(uid, answer, channel, language = getLanguage()) {
+    const { moreHint, sources: sourcesLabel } = language.replies;
+    const budget = budgets[channel] || budgets.chat;
+    const { text, sources } = stripMarkdown(answer);
+    const footer = sources.length > 0 ? ` ${sourcesLabel}: ${sources.slice(0, MAX_SOURCES).join(', ')}.` : '';
+    const full = `${text}${footer}`;
+
+    continuations.delete(uid);
+    if (full.length <= budget) return [full];
+
+    if (channel === 'notification' && overflow === 'split') {
+      // Leave room for the "(1/3) " prefix
+      const parts = chunkText(full, budget - 8);
+      return parts.map((part, index) => `(${index + 1}/${parts.length}) ${part}`);
+    }
+
+    const [first, ...rest] = chunkText(full, budget - moreHint.length);
+    continuations.set(uid, rest, { ttlMs: continuationTtlMs });
+    return [`${first}${moreHint}`];
+  }
+
+  /**
+   * Returns the next part of the user's last long answer.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {object} [language] - Language table for the "more" hint
+   * @returns {string|null} The next part, or null when nothing is left
+   */
+  function next(uid, language = getLanguage()) {
+    const remaining = continuations.get(uid);
+    if (!remaining || remaining.length === 0) return null;
+
+    const [part, ...rest] = remaining;
+    if (rest.length > 0) {
+      continuations.set(uid, rest, { ttlMs: continuationTtlMs });
+      return `${part}${language.replies.moreHint}`;
+    }
+
+    continuations.delete(uid);
+    return part;
+  }
+
+  /**
+   * Whether part of the user's last long answer is still waiting to be asked for.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {boolean}
+   */
+  function hasMore(uid) {
+    const remaining = continuations.get(uid);
+    return Boolean(remaining && remaining.length > 0);
+  }
+
+  return {
+    shape,
+    next,
+    hasMore
+  };
+}
+
+/**
+ * Checks whether a question asks for the rest of a long answer (the language
+ * table's moreCommands). Only meaningful while the shaper holds a continuation:
+ * otherwise "tell me more" is a follow-up question for the model.
+ * @param {string} question - The extracted question
+ * @param {object} [language] - Language table of the question (default English)
+ * @returns {boolean}
+ */
+function isMoreCommand(question, language = getLanguage()) {
+  return language.morePattern.test(question);
+}
+
+module.exports = {
+  createResponseShaper,
+  stripMarkdown,
+  chunkText,
+  isMoreCommand
+};
@@ -0,0 +1,99 @@
+/**
+ * Speaker-aware transcript handling.
+ *
+ * Omi tags each segment with `is_user` (the wearer), `speaker` ("SPEAKER_1")
+ * and `speaker_id`. A per-user policy decides who may invoke the assistant:
+ * - wearer: only segments spoken by the wearer can trigger it or ask questions
+ * - any: anyone in the room can (the original behaviour)
+ *
+ * Whatever the policy, the model is given the speaker-labelled transcript so it
+ * can answer questions about what other people said.
+ */
+
+const SPEAKER_POLICIES = ['wearer', 'any'];
+
+/**
+ * Human-readable label for a segment's speaker.
+ * @param {object} segment - Transcript segment
+ * @returns {string} "User" for the wearer, otherwise "Speaker N"
+ */
+function speakerLabel(segment) {
+  if (segment.is_user === true) return 'User';
+
+  const match = typeof segment.speaker === 'string' && segment.speaker.match(/(\d+)$/);
+  if (match) return `Speaker ${match[1]}`;
+  if (Number.isInteger(segment.speaker_id)) return `Speaker ${segment.speaker_id}`;
+  return 'Unknown speaker';
+}
+
+/**
+ * Returns the segments allowed to invoke the assistant under a policy.
+ * @param {Array<object>} segments - Session segments
+ * @param {string} policy - "wearer" or "any"
+ * @returns {Array<object>} The same segment objects, filtered
+ */
+function invokingSegments(segments, policy) {
+  if (policy !== 'wearer') return segments;
+  return segments.filter(segment => segment.is_user === true);
+}
+
+/**
+ * Formats segments as a speaker-labelled transcript, merging consecutive
+ * segments from the same speaker.
+ * @param {Array<object>} segments - Session segments
+ * @returns {string} Lines like "User: hey omi what did she say?"
+ */
+function formatSpeakerTranscript(segments) {
+  const lines = [];
+  let current = null;
+
+  for (const segment of segments) {
+    const label = speakerLabel(segment);
+    const text = (segment.text || '').trim();
+    if (!text) continue;
+
+    if (current && current.label === label) {
+      current.text += ` ${text}`;
+    } else {
+      current = { label, text };
+      lines.push(current);
+    }
+  }
+
+  return lines.map(line => `${line.label}: ${line.text}`).join('\n');
+}
+
+/**
+ * Checks whether more than one person speaks in the segments.
+ * @param {Array<object>} segments - Session segments
+ * @returns {boolean}
+ */
+function hasMultipleSpeakers(segments) {
+  return new Set(segments.map(speakerLabel)).size > 1;
+}
+
+/**
+ * Builds model instructions carrying the surrounding conversation, or null when
+ * there is nobody else's speech worth including.
+ * @param {Array<object>} segments - Session segments up to the question
+ * @returns {string|null} Instructions for the provider
+ */
+function buildSpeakerContext(segments) {
+  if (!hasMultipleSpeakers(segments)) return null;
+
+  return [
+    'The user is wearing an Omi device that transcribes the conversation around them.',
+    '"User" is the person asking you; other speakers are people nearby.',
+    'Use this recent transcript to answer questions about what was said:',
+    formatSpeakerTranscript(segments)
+  ].join('\n');
+}
+
+module.exports = {
+  SPEAKER_POLICIES,
+  speakerLabel,
+  invokingSegments,
+  formatSpeakerTranscript,
+  hasMultipleSpeakers,
+  buildSpeakerContext
+};
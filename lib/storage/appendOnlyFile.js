@@ -0,0 +1,133 @@
+/**
+ * Append-only JSON-lines file used by the durable storage backend.
+ *
+ * Writes are buffered and appended in the background, so a webhook never waits
+ * on the disk; a crash loses at most the lines not yet written. On startup the
+ * log is replayed. Records are rewritten whole on every change (a growing
+ * transcript session is appended again for each batch), so once the log has
+ * grown by as much as the live data it is compacted: a snapshot is written and
+ * atomically renamed into place. That keeps the file within about twice the
+ * size of the live data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+// Never compact while the log has grown by less than this
+const COMPACTION_SLACK_BYTES = 1024 * 1024;
+
+/**
+ * Creates append-only file persistence.
+ * @param {string} filePath - Location of the log file
+ * @param {object} options
+ * @param {function(): Array<object>} options.snapshot - Returns the live records
+ * @returns {object} Persistence with load/append/compact
+ */
+function createAppendOnlyFile(filePath, { snapshot }) {
+  let fd = null;
+  let pending = [];
+  let writing = false;
+  // Bytes in the last snapshot, and appended since it was written
+  let liveBytes = 0;
+  let appendedBytes = 0;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  /**
+   * Replays the log.
+   * @returns {Array<object>} Records in write order
+   */
+  function load() {
+    if (!fs.existsSync(filePath)) return [];
+
+    const records = [];
+    const content = fs.readFileSync(filePath, 'utf8');
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final line from a crash mid-write - skip it
+        logger.warn('⚠️ Skipping unreadable storage line', { file: filePath });
+      }
+    }
+
+    appendedBytes = Buffer.byteLength(content);
+    return records;
+  }
+
+  /**
+   * Writes the buffered lines, one write at a time so they land in order.
+   */
+  function flush() {
+    if (writing || pending.length === 0) return;
+
+    const chunk = pending.join('');
+    pending = [];
+    try {
+      if (fd === null) fd = fs.openSync(filePath, 'a');
+    } catch (error) {
+      logger.error('❌ Could not write storage log', { file: filePath, error: error.message });
+      return;
+    }
+    const target = fd;
+    writing = true;
+
+    fs.write(target, chunk, error => {
+      writing = false;
+      if (error) logger.error('❌ Could not write storage log', { file: filePath, error: error.message });
+      // Compaction replaced the file while this was written; the snapshot already holds it
+      if (target !== fd) fs.close(target, () => {});
+      flush();
+    });
+  }
+
+  /**
+   * Appends one record.
+   * @param {object} record
+   */
+  function append(record) {
+    const line = JSON.stringify(record) + '\n';
+    pending.push(line);
+    appendedBytes += Buffer.byteLength(line);
+
+    if (appendedBytes >= Math.max(liveBytes, COMPACTION_SLACK_BYTES)) {
+      compact();
+    } else if (pending.length === 1) {
+      setImmediate(flush);
+    }
+  }
+
+  /**
+   * Rewrites the log with only the live records, if it has grown enough.
+   * Buffered lines are dropped: the snapshot already reflects them.
+   * @param {boolean} [force] - Compact regardless of size
+   */
+  function compact(force = false) {
+    if (!force && appendedBytes < Math.max(liveBytes, COMPACTION_SLACK_BYTES)) return;
+
+    const content = snapshot().map(record => JSON.stringify(record) + '\n').join('');
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, filePath);
+
+    pending = [];
+    liveBytes = Buffer.byteLength(content);
+    appendedBytes = 0;
+    // A write in progress still holds the old file and closes it when done
+    if (fd !== null && !writing) fs.closeSync(fd);
+    fd = null;
+  }
+
+  return {
+    load,
+    append,
+    compact
+  };
+}
+
+module.exports = {
+  createAppendOnlyFile
+};
@@ -0,0 +1,207 @@
+/**
+ * Storage for everything the server needs to survive a restart: in-progress
+ * transcript sessions, notification rate-limit history and conversations.
+ *
+ * Data lives in named collections of key/value records with an optional TTL.
+ * Expired records are never returned and are swept periodically.
+ *
+ * Drivers:
+ * - memory: plain in-process Maps (lost on restart)
+ * - file: the same Maps, persisted to an append-only JSON-lines file that is
+ *   written in the background
+ *
+ * Values must be JSON-serialisable. Mutating a value returned by get() does not
+ * persist it - always call set() with the new value.
+ */
+
+const { createAppendOnlyFile } = require('./appendOnlyFile');
+const { logger } = require('../logger');
+
+/**
+ * Creates a storage instance.
+ * @param {object} [options]
+ * @param {string} [options.driver] - "memory" (default) or "file"
+ * @param {string} [options.path] - Log file location for the file driver
+ * @param {function(): number} [options.now] - Clock used for TTLs
+ * @returns {object} Storage
+ */
+function createStorage({ driver = 'memory', path: filePath, now: clock = Date.now } = {}) {
+  if (driver !== 'memory' && driver !== 'file') {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+  if (driver === 'file' && !filePath) {
+    throw new Error('STORAGE_PATH not set');
+  }
+
+  const persistence = driver === 'file' ? createAppendOnlyFile(filePath, { snapshot }) : null;
+  const data = new Map(); // collection name -> Map(key -> { value, expiresAt })
+  const collections = new Map();
+  let sweeper = null;
+
+  function records(name) {
+    if (!data.has(name)) data.set(name, new Map());
+    return data.get(name);
+  }
+
+  function isExpired(record, now = clock()) {
+    return record.expiresAt !== null && record.expiresAt <= now;
+  }
+
+  function snapshot() {
+    const live = [];
+    const now = clock();
+    for (const [name, entries] of data.entries()) {
+      for (const [key, record] of entries.entries()) {
+        if (!isExpired(record, now)) {
+          live.push({ c: name, k: key, v: record.value, e: record.expiresAt });
+        }
+      }
+    }
+    return live;
+  }
+
+  // Replay the log: later lines win, deletions remove
+  if (persistence) {
+    for (const line of persistence.load()) {
+      if (line.d) {
+        records(line.c).delete(line.k);
+      } else {
+        records(line.c).set(line.k, { value: line.v, expiresAt: line.e });
+      }
+    }
+    sweep();
+    persistence.compact();
+  }
+
+  /**
+   * Returns a named collection, creating it on first use.
+   * @param {string} name - Collection name
+   * @returns {object} Collection with get/set/has/delete/entries
+   */
+  function collection(name) {
+    if (collections.has(name)) return collections.get(name);
+
+    const entries = records(name);
+
+    const api = {
+      /**
+       * @param {string} key
+       * @returns {*} The stored value, or undefined if missing or expired
+       */
+      get(key) {
+        const record = entries.get(key);
+        if (!record) return undefined;
+        if (isExpired(record)) {
+          api.delete(key);
+          return undefined;
+        }
+        return record.value;
+      },
+
+      /**
+       * @param {string} key
+       * @param {*} value - JSON-serialisable value
+       * @param {object} [options]
+       * @param {number} [options.ttlMs] - Expire this long from now
+       */
+      set(key, value, { ttlMs } = {}) {
+        const expiresAt = ttlMs ? clock() + ttlMs : null;
+        entries.set(key, { value, expiresAt });
+        if (persistence) persistence.append({ c: name, k: key, v: value, e: expiresAt });
+      },
+
+      has(key) {
+        return api.get(key) !== undefined;
+      },
+
+      /**
+       * @param {string} key
+       * @returns {boolean} Whether a record was removed
+       */
+      delete(key) {
+        const existed = entries.delete(key);
+        if (existed && persistence) persistence.append({ c: name, k: key, d: 1 });
+        return existed;
+      },
+
+      /**
+       * @returns {Array<[string, *]>} Live key/value pairs
+       */
+      entries() {
+        const now = clock();
+        return Array.from(entries.entries())
+          .filter(([, record]) => !isExpired(record, now))
+          .map(([key, record]) => [key, record.value]);
+      },
+
+      get size() {
+        return api.entries().length;
+      }
+    };
+
+    collections.set(name, api);
+    return api;
+  }
+
+  /**
+   * Removes expired records from every collection.
+   * @returns {number} Number of records removed
+   */
+  function sweep() {
+    const now = clock();
+    let removed = 0;
+
+    for (const [name, entries] of data.entries()) {
+      let expired = 0;
+      for (const [key, record] of entries.entries()) {
+        if (isExpired(record, now)) {
+          entries.delete(key);
+          expired++;
+        }
+      }
+      if (expired > 0) logger.info('🧹 Expired records', { collection: name, count: expired });
+      removed += expired;
+    }
+
+    if (persistence && removed > 0) persistence.compact();
+    return removed;
+  }
+
+  /**
+   * Starts periodic expiry.
+   * @param {number} intervalMs - Sweep interval
+   */
+  function startExpiry(intervalMs) {
+    if (sweeper) return;
+    sweeper = setInterval(sweep, intervalMs);
+  }
+
+  /**
+   * Stops periodic expiry.
+   */
+  function stopExpiry() {
+    if (sweeper) clearInterval(sweeper);
+    sweeper = null;
+  }
+
+  /**
+   * Stops periodic expiry and compacts the log.
+   */
+  function close() {
+    stopExpiry();
+    if (persistence) persistence.compact(true);
+  }
+
+  return {
+    driver,
+    collection,
+    sweep,
+    startExpiry,
+    stopExpiry,
+    close
+  };
+}
+
+module.exports = {
+  createStorage
+};
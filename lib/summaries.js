@@ -0,0 +1,130 @@
+/**
+ * Conversation summaries for Omi's memory-created webhook.
+ *
+ * When a conversation ends, Omi sends the whole memory (transcript segments and
+ * its own structured overview). We ask the model for a summary, action items and
+ * decisions, and format them as the message Omi shows with the conversation.
+ */
+
+const { formatSpeakerTranscript } = require('./speakers');
+
+// Keep the prompt bounded for very long conversations
+const MAX_TRANSCRIPT_CHARS = 12000;
+const DIGEST_MAX_LENGTH = 200;
+
+const SUMMARY_INSTRUCTIONS = [
+  'You summarize finished conversations captured by an Omi wearable.',
+  'Reply with JSON only, no markdown, in this shape:',
+  '{"summary": "2-3 sentences", "action_items": ["..."], "decisions": ["..."]}',
+  'Action items are concrete follow-ups someone committed to or was asked to do; include the owner when known.',
+  'Decisions are things the speakers agreed on. Use empty arrays when there are none.'
+].join('\n');
+
+/**
+ * Builds the text sent to the model for a memory.
+ * @param {object} memory - Omi memory payload
+ * @returns {string} Speaker-labelled transcript, truncated if needed
+ */
+function buildSummaryInput(memory) {
+  let transcript = formatSpeakerTranscript(memory.transcript_segments || []);
+
+  if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+    transcript = `${transcript.slice(0, MAX_TRANSCRIPT_CHARS)}\n[transcript truncated]`;
+  }
+
+  const title = memory.structured && memory.structured.title;
+  return `${title ? `Conversation title: ${title}\n` : ''}Transcript:\n${transcript}`;
+}
+
+/**
+ * Parses the model's reply, tolerating code fences or plain prose.
+ * @param {string} text - Model output
+ * @returns {{summary: string, actionItems: string[], decisions: string[]}}
+ */
+function parseSummary(text) {
+  const json = (text || '').replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+
+  try {
+    const parsed = JSON.parse(json);
+    const list = value => (Array.isArray(value) ? value.map(String).map(item => item.trim()).filter(Boolean) : []);
+    return {
+      summary: String(parsed.summary || '').trim(),
+      actionItems: list(parsed.action_items),
+      decisions: list(parsed.decisions)
+    };
+  } catch (error) {
+    // Not JSON - treat the whole reply as the summary
+    return { summary: (text || '').trim(), actionItems: [], decisions: [] };
+  }
+}
+
+/**
+ * Formats a summary as the chat message shown in the Omi app.
+ * @param {object} result - Parsed summary
+ * @returns {string}
+ */
+function formatSummaryMessage({ summary, actionItems, decisions }) {
+  const parts = [`📝 ${summary}`];
+
+  if (actionItems.length > 0) {
+    parts.push(`✅ Action items:\n${actionItems.map(item => `- ${item}`).join('\n')}`);
+  }
+  if (decisions.length > 0) {
+    parts.push(`📌 Decisions:\n${decisions.map(item => `- ${item}`).join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Formats a short digest suitable for a push notification.
+ * @param {object} result - Parsed summary
+ * @returns {string}
+ */
+function formatDigest({ summary, actionItems }) {
+  const firstSentence = summary.split(/(?<=[.!?])\s/)[0];
+  const digest = actionItems.length > 0 ?
+    `${firstSentence} ${actionItems.length} action item${actionItems.length === 1 ? '' : 's'}: ${actionItems.join('; ')}` :
+    firstSentence;
+
+  return digest.length > DIGEST_MAX_LENGTH ? `${digest.slice(0, DIGEST_MAX_LENGTH - 1)}…` : digest;
+}
+
+/**
+ * Summarizes a finished conversation.
+ * @param {object} llm - Provider chain
+ * @param {object} memory - Omi memory payload
+ * @param {object} [options]
+ * @param {object} [options.redaction] - Masks personal data in the transcript sent to the
+ *   model and restores it in the summary (see lib/pii.js)
+ * @param {AbortSignal} [options.signal] - Cancels the provider chain, e.g. at the LLM deadline
+ * @returns {Promise<object>} { summary, actionItems, decisions, provider, model, usage, failures }
+ */
+async function summarizeConversation(llm, memory, { redaction = null, signal } = {}) {
+  const input = buildSummaryInput(memory);
+  const result = await llm.generate({
+    question: redaction ? redaction.mask(input) : input,
+    history: [],
+    instructions: SUMMARY_INSTRUCTIONS,
+    // A summary of what was said needs no searching, which is billed per call
+    webSearch: false,
+    signal
+  });
+
+  const parsed = parseSummary(result.text);
+  if (redaction) {
+    parsed.summary = redaction.unmask(parsed.summary);
+    parsed.actionItems = parsed.actionItems.map(item => redaction.unmask(item));
+    parsed.decisions = parsed.decisions.map(item => redaction.unmask(item));
+  }
+
+  return { ...parsed, provider: result.provider, model: result.model, usage: result.usage, failures: result.failures };
+}
+
+module.exports = {
+  summarizeConversation,
+  buildSummaryInput,
+  parseSummary,
+  formatSummaryMessage,
+  formatDigest
+};
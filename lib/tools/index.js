@@ -0,0 +1,42 @@
+/**
+ * Tools the assistant can call, and the built-in set:
+ * - set_reminder, set_timer, list_reminders (delivered later as Omi notifications)
+ * - save_note, list_notes
+ *
+ * Custom tools can be added without touching the webhook handler: call
+ * registry.register(tool), or list modules in CUSTOM_TOOLS (comma-separated
+ * paths) that export a tool or an array of tools.
+ */
+
+const path = require('path');
+const { createToolRegistry } = require('./registry');
+const { createReminderScheduler, createReminderTools } = require('./reminders');
+const { createNoteTools } = require('./notes');
+
+/**
+ * Loads custom tool modules.
+ * @param {object} registry - Tool registry
+ * @param {string} [modulePaths] - Comma-separated module paths, relative to the working directory
+ * @returns {string[]} Names of the tools registered
+ */
+function loadCustomTools(registry, modulePaths) {
+  if (!modulePaths) return [];
+
+  const names = [];
+  for (const modulePath of modulePaths.split(',').map(p => p.trim()).filter(Boolean)) {
+    const exported = require(path.resolve(modulePath));
+    for (const tool of [].concat(exported)) {
+      registry.register(tool);
+      names.push(tool.name);
+    }
+  }
+  return names;
+}
+
+module.exports = {
+  createToolRegistry,
+  createReminderScheduler,
+  createReminderTools,
+  createNoteTools,
+  loadCustomTools
+};
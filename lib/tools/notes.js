@@ -0,0 +1,56 @@
+/**
+ * Note-taking tools: "Hey Omi, note that the wifi password is ..." and
+ * "Hey Omi, what are my notes?".
+ */
+
+const MAX_NOTES_PER_USER = 100;
+
+/**
+ * Creates the note tools.
+ * @param {object} collection - Storage collection holding uid -> notes
+ * @returns {Array<object>} Tool definitions
+ */
+function createNoteTools(collection) {
+  return [
+    {
+      name: 'save_note',
+      description: 'Save a short note for the user to look up later.',
+      parameters: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', description: 'The note, in the user\'s words' }
+        },
+        required: ['text']
+      },
+      handler: async ({ text }, context) => {
+        const note = String(text || '').trim().slice(0, 1000);
+        if (!note) throw new Error('The note is empty');
+
+        const notes = collection.get(context.uid) || [];
+        notes.push({ text: note, created_at: new Date(context.now()).toISOString() });
+        collection.set(context.uid, notes.slice(-MAX_NOTES_PER_USER));
+        return { saved: true, total_notes: Math.min(notes.length, MAX_NOTES_PER_USER) };
+      },
+      confirm: () => "Okay, I've saved that note."
+    },
+    {
+      name: 'list_notes',
+      description: 'List the user\'s saved notes, newest first.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: { type: 'number', description: 'Maximum notes to return (default 10)' }
+        }
+      },
+      readOnly: true,
+      handler: async ({ limit }, context) => {
+        const notes = (collection.get(context.uid) || []).slice().reverse();
+        return { notes: notes.slice(0, Math.max(1, Math.min(Number(limit) || 10, 50))) };
+      }
+    }
+  ];
+}
+
+module.exports = {
+  createNoteTools
+};
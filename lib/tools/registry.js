@@ -0,0 +1,118 @@
+/**
+ * Registry of tools the model can call (OpenAI function calling).
+ *
+ * A tool is a plain object:
+ *
+ *   {
+ *     name: 'save_note',
+ *     description: 'Save a short note for the user',
+ *     parameters: { type: 'object', properties: { ... }, required: [...] },
+ *     handler: async (args, context) => ({ ... }),  // context: { uid, canNotify, now }
+ *     readOnly: false,                              // optional: true if it only looks things up
+ *     confirm: result => 'Okay, I saved that.'      // optional: what to tell the user it did
+ *   }
+ *
+ * Handlers return any JSON-serialisable value; it is passed back to the model.
+ *
+ * Tools are assumed to change something (schedule a reminder, save a note)
+ * unless marked readOnly. Once such a tool has run, the provider chain does
+ * not retry the request with another provider, which would run it again; it
+ * answers with the tools' confirmations instead.
+ */
+
+const { logger } = require('../logger');
+
+/**
+ * Creates an empty tool registry.
+ * @returns {object} Registry
+ */
+function createToolRegistry() {
+  const tools = new Map();
+
+  /**
+   * Adds a tool, replacing any tool with the same name.
+   * @param {object} tool - Tool definition with a handler
+   */
+  function register(tool) {
+    if (!tool || !/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || '')) {
+      throw new Error('Tool name must be 1-64 letters, digits, "_" or "-"');
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} is missing a handler`);
+    }
+
+    tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+  }
+
+  /**
+   * Runs a tool call from the model. Failures are reported back to the model
+   * rather than thrown, so it can tell the user what went wrong.
+   * @param {string} name - Tool name
+   * @param {string|object} args - JSON arguments from the model
+   * @param {object} context - Request context passed to the handler
+   * @returns {Promise<string>} JSON result
+   */
+  async function execute(name, args, context) {
+    const tool = tools.get(name);
+    if (!tool) return JSON.stringify({ error: `Unknown tool: ${name}` });
+
+    try {
+      const parsed = typeof args === 'string' ? JSON.parse(args || '{}') : (args || {});
+      logger.info('🛠️ Running tool', { tool: name });
+      const result = await tool.handler(parsed, context);
+      return JSON.stringify(result === undefined ? { ok: true } : result);
+    } catch (error) {
+      logger.error('❌ Tool failed', { tool: name, error: error.message });
+      return JSON.stringify({ error: error.message });
+    }
+  }
+
+  /**
+   * Binds the registry to one request, in the shape providers expect.
+   * @param {object} context - Passed to every handler, e.g. { uid, canNotify, now }; now
+   *   (the clock) defaults to Date.now
+   * @returns {object|null} { definitions, execute, actions } or null when no tools exist
+   */
+  function forRequest(context) {
+    if (tools.size === 0) return null;
+
+    const requestContext = { now: Date.now, ...context };
+
+    // Successful calls to tools that change something, with what to tell the user
+    const actions = [];
+
+    return {
+      definitions: Array.from(tools.values()).map(({ name, description, parameters }) => ({
+        name,
+        description,
+        parameters
+      })),
+      execute: async (name, args) => {
+        const result = await execute(name, args, requestContext);
+        const tool = tools.get(name);
+        const outcome = JSON.parse(result);
+        if (tool && !tool.readOnly && !(outcome && outcome.error)) {
+          actions.push({ tool: name, confirmation: tool.confirm ? tool.confirm(outcome) : 'Done.' });
+        }
+        return result;
+      },
+      actions: () => actions.slice()
+    };
+  }
+
+  return {
+    register,
+    execute,
+    forRequest,
+    has: name => tools.has(name),
+    list: () => Array.from(tools.keys())
+  };
+}
+
+module.exports = {
+  createToolRegistry
+};
@@ -0,0 +1,197 @@
+/**
+ * Server-side reminders and timers.
+ *
+ * Reminders are persisted in storage and armed as timers, so they survive a
+ * restart (overdue ones fire immediately on startup). When due, they are handed
+ * to `deliver`, which sends them to the user as an Omi notification.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+const MAX_DELAY_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+/**
+ * Creates a reminder scheduler.
+ * @param {object} options
+ * @param {object} options.collection - Storage collection holding id -> reminder
+ * @param {function(string, string): void} options.deliver - Sends (uid, text) to the user
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Scheduler
+ */
+function createReminderScheduler({ collection, deliver, now = Date.now }) {
+  const timers = new Map();
+
+  function fire(id) {
+    timers.delete(id);
+    const reminder = collection.get(id);
+    if (!reminder) return;
+
+    collection.delete(id);
+    logger.info('⏰ Reminder due', { id, uid: reminder.uid });
+    deliver(reminder.uid, reminder.kind === 'timer' ?
+      `⏰ Timer done${reminder.message ? `: ${reminder.message}` : ''}` :
+      `⏰ Reminder: ${reminder.message}`);
+  }
+
+  function arm(id, dueAt) {
+    clearTimeout(timers.get(id));
+    timers.set(id, setTimeout(() => fire(id), Math.max(0, dueAt - now())));
+  }
+
+  /**
+   * Schedules a reminder.
+   * @param {object} options
+   * @param {string} options.uid - The Omi user's unique ID
+   * @param {string} options.message - What to remind the user about
+   * @param {number} options.delayMs - Time from now
+   * @param {string} [options.kind] - "reminder" or "timer"
+   * @returns {object} The stored reminder
+   */
+  function schedule({ uid, message, delayMs, kind = 'reminder' }) {
+    if (!Number.isFinite(delayMs) || delayMs <= 0) throw new Error('The delay must be positive');
+    if (delayMs > MAX_DELAY_MS) throw new Error('Reminders can be set at most one week ahead');
+
+    const id = crypto.randomUUID();
+    const reminder = { id, uid, message, kind, dueAt: now() + delayMs, createdAt: now() };
+
+    collection.set(id, reminder, { ttlMs: delayMs + MAX_DELAY_MS });
+    arm(id, reminder.dueAt);
+    return reminder;
+  }
+
+  /**
+   * Lists a user's pending reminders, soonest first.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {Array<object>} Reminders
+   */
+  function listForUser(uid) {
+    return collection.entries()
+      .map(([, reminder]) => reminder)
+      .filter(reminder => reminder.uid === uid)
+      .sort((a, b) => a.dueAt - b.dueAt);
+  }
+
+  /**
+   * Re-arms reminders loaded from storage.
+   * @returns {number} Number of reminders restored
+   */
+  function restore() {
+    const pending = collection.entries();
+    for (const [id, reminder] of pending) arm(id, reminder.dueAt);
+    return pending.length;
+  }
+
+  /**
+   * Cancels and deletes all of a user's pending reminders.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {number} Number of reminders cancelled
+   */
+  function cancelForUser(uid) {
+    const reminders = listForUser(uid);
+    for (const { id } of reminders) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+      collection.delete(id);
+    }
+    return reminders.length;
+  }
+
+  /**
+   * Cancels all timers; reminders stay in storage for the next start.
+   */
+  function stop() {
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  return {
+    schedule,
+    listForUser,
+    restore,
+    cancelForUser,
+    stop,
+    get size() {
+      return timers.size;
+    }
+  };
+}
+
+/**
+ * Tools that let the model set reminders and timers.
+ * @param {object} scheduler - Reminder scheduler
+ * @returns {Array<object>} Tool definitions
+ */
+function createReminderTools(scheduler) {
+  function requireNotifications(context) {
+    if (!context.canNotify) {
+      throw new Error('Reminders need the Omi user id (uid) to send a notification');
+    }
+  }
+
+  return [
+    {
+      name: 'set_reminder',
+      description: 'Remind the user about something after a delay, via a notification on their phone. Use for "remind me in 20 minutes to call mom".',
+      parameters: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', description: 'What to remind the user about, phrased as the reminder text' },
+          delay_minutes: { type: 'number', description: 'Minutes from now' }
+        },
+        required: ['message', 'delay_minutes']
+      },
+      handler: async ({ message, delay_minutes }, context) => {
+        requireNotifications(context);
+        const reminder = scheduler.schedule({
+          uid: context.uid,
+          message: String(message || '').slice(0, 500),
+          delayMs: Number(delay_minutes) * 60 * 1000
+        });
+        return { scheduled: true, message: reminder.message, due_at: new Date(reminder.dueAt).toISOString() };
+      },
+      confirm: result => `Okay, I'll remind you: ${result.message}.`
+    },
+    {
+      name: 'set_timer',
+      description: 'Start a countdown timer; the user gets a notification when it ends.',
+      parameters: {
+        type: 'object',
+        properties: {
+          duration_seconds: { type: 'number', description: 'Timer length in seconds' },
+          label: { type: 'string', description: 'Optional label, e.g. "pasta"' }
+        },
+        required: ['duration_seconds']
+      },
+      handler: async ({ duration_seconds, label }, context) => {
+        requireNotifications(context);
+        const timer = scheduler.schedule({
+          uid: context.uid,
+          message: String(label || '').slice(0, 200),
+          delayMs: Number(duration_seconds) * 1000,
+          kind: 'timer'
+        });
+        return { started: true, label: timer.message || null, ends_at: new Date(timer.dueAt).toISOString() };
+      },
+      confirm: result => (result.label ? `Okay, your ${result.label} timer is running.` : 'Okay, your timer is running.')
+    },
+    {
+      name: 'list_reminders',
+      description: 'List the user\'s pending reminders and timers.',
+      parameters: { type: 'object', properties: {} },
+      readOnly: true,
+      handler: async (args, context) => ({
+        reminders: scheduler.listForUser(context.uid).map(reminder => ({
+          kind: reminder.kind,
+          message: reminder.message,
+          due_at: new Date(reminder.dueAt).toISOString()
+        }))
+      })
+    }
+  ];
+}
+
+module.exports = {
+  createReminderScheduler,
+  createReminderTools
+};
@@ -0,0 +1,70 @@
+/**
+ * Decides whether a transcript is addressed to the assistant, and records why.
+ *
+ * The webhook acts on the result; the admin API shows it, so "why did it answer
+ * that?" can be answered with the exact wake word or pattern that matched.
+ */
+
+/**
+ * Evaluates the trigger rules for a session's invoking segments.
+ * @param {object} options
+ * @param {Array<object>} options.segments - Segments from speakers allowed to invoke the assistant
+ * @param {object} options.detector - Wake-word detector for the user's settings
+ * @param {object} options.language - Language table (see lib/languages)
+ * @returns {object} Decision: { invoke, help, reason, wakeWord, matches, transcript }
+ */
+function evaluateTrigger({ segments, detector, language }) {
+  const transcript = segments.map(segment => segment.text).join(' ').trim();
+  const transcriptLower = transcript.toLowerCase();
+
+  // Primary trigger: a wake word such as "Hey Omi", matched on whole words across segments
+  const wakeWord = detector.detect(segments);
+
+  // Secondary triggers: natural language patterns
+  const questionMatch = language.questionPattern.exec(transcript);
+  const commandMatch = language.commandPattern.exec(transcript);
+  const conversational = transcript.includes('?');
+  const helpKeyword = language.helpKeywords.find(keyword => transcriptLower.includes(keyword)) || null;
+
+  let reason = 'no_trigger';
+  if (wakeWord) reason = 'wake_word';
+  else if (questionMatch && commandMatch) reason = 'question_and_command';
+  else if (conversational && commandMatch) reason = 'conversational_command';
+  else if (helpKeyword) reason = 'help_keyword';
+
+  const invoke = ['wake_word', 'question_and_command', 'conversational_command'].includes(reason);
+
+  return {
+    invoke,
+    help: reason === 'help_keyword',
+    reason,
+    language: language.code,
+    wakeWord,
+    matches: {
+      wake_word: wakeWord ? { name: wakeWord.name, heard: wakeWord.heard, confidence: wakeWord.confidence } : null,
+      question_word: questionMatch ? questionMatch[0] : null,
+      command_word: commandMatch ? commandMatch[0] : null,
+      question_mark: conversational,
+      help_keyword: helpKeyword
+    },
+    transcript
+  };
+}
+
+/**
+ * Short form of a decision for the exchange history: the rule and what matched.
+ * @param {object} decision - Result of evaluateTrigger
+ * @returns {{reason: string, phrase: string|null}}
+ */
+function summarizeTrigger(decision) {
+  const { matches } = decision;
+  let phrase = null;
+  if (matches.wake_word) phrase = matches.wake_word.heard;
+  else if (decision.invoke) phrase = [matches.question_word, matches.command_word].filter(Boolean).join(' + ') || null;
+  return { reason: decision.reason, phrase };
+}
+
+module.exports = {
+  evaluateTrigger,
+  summarizeTrigger
+};
@@ -0,0 +1,200 @@
+/**
+ * Per-user LLM usage accounting and quotas.
+ *
+ * Every provider call reports { inputTokens, outputTokens, webSearchCalls };
+ * these are added to the user's daily and monthly totals together with an
+ * estimated cost. Periods are calendar days and months in UTC.
+ */
+
+const { getLanguage } = require('./languages');
+
+// USD per million tokens, and per web search call
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 }
+};
+const DEFAULT_PRICING = { input: 2.5, output: 10, webSearch: 0.025 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {number} now - Epoch milliseconds
+ * @returns {{day: string, month: string}} UTC period keys, e.g. "2026-10-19" and "2026-10"
+ */
+function periodKeys(now) {
+  const iso = new Date(now).toISOString();
+  return { day: iso.slice(0, 10), month: iso.slice(0, 7) };
+}
+
+function emptyTotals() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, webSearchCalls: 0, costUsd: 0 };
+}
+
+/**
+ * Milliseconds until the start of the next UTC day or month.
+ * @param {number} now - Epoch milliseconds
+ * @param {string} period - "daily" or "monthly"
+ * @returns {number}
+ */
+function msUntilReset(now, period) {
+  const date = new Date(now);
+  const next = period === 'daily' ?
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) :
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  return next - now;
+}
+
+/**
+ * Creates a usage tracker.
+ * @param {object} options
+ * @param {object} options.collection - Storage collection (uid -> usage record)
+ * @param {object} [options.limits] - Quotas, 0 or missing for unlimited:
+ *   { dailyTokens, monthlyTokens, dailyCostUsd, monthlyCostUsd }
+ * @param {object} [options.pricing] - Overrides for DEFAULT_PRICING (applies to models not in MODEL_PRICING)
+ * @param {function(): number} [options.now] - Clock
+ * @returns {object} Usage tracker
+ */
+function createUsageTracker({ collection, limits = {}, pricing = {}, now = Date.now }) {
+  const fallbackPricing = { ...DEFAULT_PRICING, ...pricing };
+
+  /**
+   * Estimates the cost of one provider call.
+   * @param {object} usage - { inputTokens, outputTokens, webSearchCalls }
+   * @param {string} [model]
+   * @returns {number} USD
+   */
+  function estimateCost(usage, model) {
+    const rates = MODEL_PRICING[model] || fallbackPricing;
+    return (
+      (usage.inputTokens || 0) * rates.input / 1e6 +
+      (usage.outputTokens || 0) * rates.output / 1e6 +
+      (usage.webSearchCalls || 0) * fallbackPricing.webSearch
+    );
+  }
+
+  /**
+   * Loads a user's record, starting new totals when the day or month has rolled over.
+   * @param {string} uid
+   * @returns {object} { day, month, daily, monthly }
+   */
+  function load(uid) {
+    const { day, month } = periodKeys(now());
+    const record = collection.get(uid) || { day, month, daily: emptyTotals(), monthly: emptyTotals() };
+
+    if (record.day !== day) {
+      record.day = day;
+      record.daily = emptyTotals();
+    }
+    if (record.month !== month) {
+      record.month = month;
+      record.monthly = emptyTotals();
+    }
+    return record;
+  }
+
+  /**
+   * Adds one provider call to a user's totals.
+   * @param {string} uid - The Omi user's unique ID
+   * @param {object} usage - { inputTokens, outputTokens, webSearchCalls }
+   * @param {string} [model] - Model that served the call, for pricing
+   * @returns {number} Estimated cost of this call in USD
+   */
+  function record(uid, usage = {}, model) {
+    const record = load(uid);
+    const costUsd = estimateCost(usage, model);
+
+    for (const totals of [record.daily, record.monthly]) {
+      totals.requests++;
+      totals.inputTokens += usage.inputTokens || 0;
+      totals.outputTokens += usage.outputTokens || 0;
+      totals.webSearchCalls += usage.webSearchCalls || 0;
+      totals.costUsd += costUsd;
+    }
+
+    // Keep the record until the month it belongs to is over
+    collection.set(uid, record, { ttlMs: msUntilReset(now(), 'monthly') + DAY_MS });
+    return costUsd;
+  }
+
+  /**
+   * Checks a user's totals against the quotas.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {{allowed: boolean, period: string|null, resetInMs: number|null}}
+   */
+  function check(uid) {
+    const { daily, monthly } = load(uid);
+    const over = (used, limit) => limit > 0 && used >= limit;
+
+    let period = null;
+    if (over(monthly.inputTokens + monthly.outputTokens, limits.monthlyTokens) ||
+        over(monthly.costUsd, limits.monthlyCostUsd)) {
+      period = 'monthly';
+    } else if (over(daily.inputTokens + daily.outputTokens, limits.dailyTokens) ||
+        over(daily.costUsd, limits.dailyCostUsd)) {
+      period = 'daily';
+    }
+
+    return {
+      allowed: period === null,
+      period,
+      resetInMs: period ? msUntilReset(now(), period) : null
+    };
+  }
+
+  /**
+   * Usage report for a user.
+   * @param {string} uid - The Omi user's unique ID
+   * @returns {object} Daily and monthly totals, quotas and whether the user is over them
+   */
+  function getUsage(uid) {
+    const record = load(uid);
+    const status = check(uid);
+    const round = totals => ({ ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 });
+
+    return {
+      day: record.day,
+      month: record.month,
+      daily: round(record.daily),
+      monthly: round(record.monthly),
+      limits: {
+        dailyTokens: limits.dailyTokens || null,
+        monthlyTokens: limits.monthlyTokens || null,
+        dailyCostUsd: limits.dailyCostUsd || null,
+        monthlyCostUsd: limits.monthlyCostUsd || null
+      },
+      isLimited: !status.allowed,
+      limitedPeriod: status.period
+    };
+  }
+
+  return {
+    record,
+    check,
+    getUsage,
+    estimateCost,
+    limits: { ...limits },
+    get size() {
+      return collection.size;
+    }
+  };
+}
+
+/**
+ * Spoken refusal for a user who is over quota.
+ * @param {string} period - "daily" or "monthly"
+ * @param {object} [language] - Language table for the reply (default English)
+ * @returns {string}
+ */
+function quotaMessage(period, language = getLanguage()) {
+  return language.replies.quota(period);
+}
+
+module.exports = {
+  createUsageTracker,
+  quotaMessage,
+  MODEL_PRICING,
+  DEFAULT_PRICING
+};
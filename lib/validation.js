@@ -0,0 +1,163 @@
+/**
+ * Schema validation for incoming Omi webhook requests.
+ *
+ * Each validator returns a list of human-readable problems; an empty list
+ * means the request is acceptable.
+ */
+
+const LIMITS = {
+  sessionIdLength: 256,
+  segments: 200,
+  memorySegments: 5000,
+  segmentTextLength: 5000,
+  segmentIdLength: 256,
+  speakerLength: 64,
+  languageLength: 16
+};
+
+// Omi user ids are Firebase-style opaque ids
+const UID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+function isNonEmptyString(value, maxLength) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+}
+
+/**
+ * Validates one transcript segment.
+ * @param {*} segment - Candidate segment
+ * @param {number} index - Position in the segments array, for error messages
+ * @returns {string[]} Problems found
+ */
+function validateSegment(segment, index) {
+  const where = `segments[${index}]`;
+
+  if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+    return [`${where} must be an object`];
+  }
+
+  const errors = [];
+
+  if (typeof segment.text !== 'string') {
+    errors.push(`${where}.text must be a string`);
+  } else if (segment.text.length > LIMITS.segmentTextLength) {
+    errors.push(`${where}.text must be at most ${LIMITS.segmentTextLength} characters`);
+  }
+  if (segment.id !== undefined && !isNonEmptyString(segment.id, LIMITS.segmentIdLength)) {
+    errors.push(`${where}.id must be a non-empty string of at most ${LIMITS.segmentIdLength} characters`);
+  }
+  for (const field of ['start', 'end']) {
+    if (segment[field] !== undefined && !(Number.isFinite(segment[field]) && segment[field] >= 0)) {
+      errors.push(`${where}.${field} must be a non-negative number`);
+    }
+  }
+  if (Number.isFinite(segment.start) && Number.isFinite(segment.end) && segment.end < segment.start) {
+    errors.push(`${where}.end must not be before start`);
+  }
+  if (segment.speaker !== undefined && segment.speaker !== null && !isNonEmptyString(segment.speaker, LIMITS.speakerLength)) {
+    errors.push(`${where}.speaker must be a string of at most ${LIMITS.speakerLength} characters`);
+  }
+  if (segment.speaker_id !== undefined && segment.speaker_id !== null && !Number.isInteger(segment.speaker_id)) {
+    errors.push(`${where}.speaker_id must be an integer`);
+  }
+  if (segment.is_user !== undefined && typeof segment.is_user !== 'boolean') {
+    errors.push(`${where}.is_user must be a boolean`);
+  }
+  if (segment.language !== undefined && segment.language !== null && !isNonEmptyString(segment.language, LIMITS.languageLength)) {
+    errors.push(`${where}.language must be a string of at most ${LIMITS.languageLength} characters`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a real-time transcript webhook.
+ * @param {object} body - Parsed JSON body
+ * @param {object} query - Query string parameters
+ * @param {object} [options]
+ * @param {boolean} [options.requireUid] - Reject requests without a uid query parameter
+ * @returns {string[]} Problems found
+ */
+function validateTranscriptWebhook(body, query, { requireUid = false } = {}) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  if (!isNonEmptyString(body.session_id, LIMITS.sessionIdLength)) {
+    errors.push(`session_id is required and must be a string of at most ${LIMITS.sessionIdLength} characters`);
+  }
+
+  if (!Array.isArray(body.segments)) {
+    errors.push('segments is required and must be an array');
+  } else if (body.segments.length > LIMITS.segments) {
+    errors.push(`segments must contain at most ${LIMITS.segments} items`);
+  } else {
+    body.segments.forEach((segment, index) => errors.push(...validateSegment(segment, index)));
+  }
+
+  errors.push(...validateUid(query, requireUid));
+  return errors;
+}
+
+/**
+ * Validates the uid query parameter Omi appends to webhook URLs.
+ * @param {object} query - Query string parameters
+ * @param {boolean} required - Whether a missing uid is an error
+ * @returns {string[]} Problems found
+ */
+function validateUid(query, required) {
+  const uid = query ? query.uid : undefined;
+
+  if (uid === undefined) {
+    return required ? ['uid query parameter is required'] : [];
+  }
+  if (typeof uid !== 'string' || !UID_PATTERN.test(uid)) {
+    return ['uid query parameter must be 1-128 letters, digits, "_" or "-"'];
+  }
+  return [];
+}
+
+/**
+ * Validates a memory (conversation) created webhook.
+ * @param {object} body - Parsed JSON body
+ * @param {object} query - Query string parameters
+ * @param {object} [options]
+ * @param {boolean} [options.requireUid] - Reject requests without a uid query parameter
+ * @returns {string[]} Problems found
+ */
+function validateMemoryWebhook(body, query, { requireUid = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Request body must be a JSON object'];
+  }
+
+  const errors = [];
+
+  if (!Array.isArray(body.transcript_segments)) {
+    errors.push('transcript_segments is required and must be an array');
+  } else if (body.transcript_segments.length > LIMITS.memorySegments) {
+    errors.push(`transcript_segments must contain at most ${LIMITS.memorySegments} items`);
+  } else {
+    body.transcript_segments.forEach((segment, index) => {
+      errors.push(...validateSegment(segment, index).map(error => `transcript_${error}`));
+    });
+  }
+
+  if (body.id !== undefined && !isNonEmptyString(String(body.id), LIMITS.sessionIdLength)) {
+    errors.push(`id must be at most ${LIMITS.sessionIdLength} characters`);
+  }
+  if (body.discarded !== undefined && typeof body.discarded !== 'boolean') {
+    errors.push('discarded must be a boolean');
+  }
+
+  errors.push(...validateUid(query, requireUid));
+  return errors;
+}
+
+module.exports = {
+  validateTranscriptWebhook,
+  validateMemoryWebhook,
+  validateSegment,
+  LIMITS,
+  UID_PATTERN
+};
@@ -0,0 +1,256 @@
+/**
+ * Wake-word detection for streamed Omi transcripts.
+ *
+ * Matches whole words only, so "they" or "hey guys" never wake the assistant,
+ * tolerates common speech-recognition misspellings ("hey ohmy", "hey jervis"),
+ * and finds the wake word even when it is split across segments.
+ */
+
+// Greetings that can precede an assistant name
+const DEFAULT_GREETINGS = ['hey', 'hay', 'hei', 'heya', 'hi', 'okay', 'ok'];
+
+// Greetings that are also everyday words ("okay, echo chamber effects are real").
+// They only wake the assistant when they open a sentence and the name is set off
+// by punctuation or a pause: "Okay Omi, what time is it?"
+const WEAK_GREETINGS = ['hi', 'okay', 'ok'];
+
+// Assistant names with the misspellings ASR commonly produces for them
+const DEFAULT_NAMES = {
+  omi: ['omi', 'omie', 'omy', 'ohmi', 'ohmy', 'ommy', 'oh me', 'o me'],
+  jarvis: ['jarvis', 'jervis', 'jarvus', 'javis', 'jarvys'],
+  echo: ['echo', 'ecko', 'eko', 'ekko'],
+  assistant: ['assistant', 'assistent', 'asistant']
+};
+
+// A bare greeting only counts when it opens the utterance and leads into a request
+const BARE_GREETINGS = ['hey'];
+const QUESTION_STARTERS = [
+  'what', 'whats', 'who', 'whos', 'where', 'wheres', 'when', 'why', 'how', 'hows',
+  'can', 'could', 'would', 'will', 'is', 'are', 'do', 'does', 'did',
+  'tell', 'show', 'find', 'search', 'look', 'remind', 'set', 'give'
+];
+
+// Punctuation between the wake word and the question; a segment holding only this has no question yet
+const QUESTION_PREFIX = /^[\s,.!?;:¿¡-]*$/;
+
+const CONFIDENCE = {
+  exact: 1.0,
+  alias: 0.9,
+  fuzzy: 0.75,
+  bareGreeting: 0.6
+};
+
+/**
+ * Levenshtein distance between two words.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Edit distance between a and b
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Splits segments into lowercase word tokens that remember where they came from.
+ * @param {Array<{text: string}>} segments - Transcript segments
+ * @returns {Array<{word: string, segmentIndex: number, start: number, end: number}>} Tokens in spoken order
+ */
+function tokenize(segments) {
+  const tokens = [];
+
+  segments.forEach((segment, segmentIndex) => {
+    const text = segment.text || '';
+    const wordPattern = /[\p{L}\p{N}']+/gu;
+    let match;
+
+    while ((match = wordPattern.exec(text)) !== null) {
+      const word = match[0].toLowerCase().replace(/'/g, '');
+      if (word) {
+        tokens.push({ word, segmentIndex, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  });
+
+  return tokens;
+}
+
+/**
+ * Creates a wake-word detector.
+ * @param {object} [options]
+ * @param {string[]} [options.greetings] - Words that open a wake phrase
+ * @param {string[]} [options.weakGreetings] - Greetings that only count opening a sentence, before a pause
+ * @param {object} [options.names] - Map of assistant name to accepted spellings
+ * @param {number} [options.minConfidence] - Matches below this confidence are ignored
+ * @param {boolean} [options.allowBareGreeting] - Accept "hey, what time is it?" without a name
+ * @returns {object} Detector with a detect(segments) method
+ */
+function createWakeWordDetector(options = {}) {
+  const greetings = new Set(options.greetings || DEFAULT_GREETINGS);
+  const weakGreetings = new Set(options.weakGreetings || WEAK_GREETINGS);
+  const names = options.names || DEFAULT_NAMES;
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : CONFIDENCE.bareGreeting;
+  const allowBareGreeting = options.allowBareGreeting !== false;
+  const bareGreetings = new Set(options.bareGreetings || BARE_GREETINGS);
+  const questionStarters = new Set(options.questionStarters || QUESTION_STARTERS);
+
+  // Flatten the name table into token sequences, longest first so "oh me" beats "oh"
+  const spellings = [];
+  for (const [name, variants] of Object.entries(names)) {
+    for (const variant of variants) {
+      spellings.push({
+        name,
+        words: variant.toLowerCase().split(/\s+/),
+        confidence: variant.toLowerCase() === name ? CONFIDENCE.exact : CONFIDENCE.alias
+      });
+    }
+  }
+  spellings.sort((a, b) => b.words.length - a.words.length);
+
+  /**
+   * Matches an assistant name starting at a token position.
+   * @returns {{name: string, length: number, confidence: number}|null}
+   */
+  function matchName(tokens, start) {
+    for (const spelling of spellings) {
+      const candidate = tokens.slice(start, start + spelling.words.length);
+      if (candidate.length === spelling.words.length &&
+          candidate.every((token, i) => token.word === spelling.words[i])) {
+        return { name: spelling.name, length: spelling.words.length, confidence: spelling.confidence };
+      }
+    }
+
+    // Fall back to a one-letter typo for names long enough not to collide with common words
+    const token = tokens[start];
+    if (token) {
+      for (const name of Object.keys(names)) {
+        if (name.length >= 4 && editDistance(token.word, name) === 1) {
+          return { name, length: 1, confidence: CONFIDENCE.fuzzy };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a token opens a sentence: it starts its segment or follows a full stop.
+   * @returns {boolean}
+   */
+  function opensSentence(segments, token) {
+    const before = (segments[token.segmentIndex].text || '').substring(0, token.start);
+    return /(^|[.!?])[\s"'¿¡]*$/.test(before);
+  }
+
+  /**
+   * Whether the speaker paused after a token: punctuation follows it, or it ends its segment.
+   * @returns {boolean}
+   */
+  function pausesAfter(segments, token) {
+    const rest = (segments[token.segmentIndex].text || '').substring(token.end);
+    return /^\s*([,.!?;:]|$)/.test(rest);
+  }
+
+  /**
+   * Matches a greeting and name glued into one token ("heyomi").
+   * @returns {{name: string, confidence: number}|null}
+   */
+  function matchCompound(token) {
+    for (const greeting of greetings) {
+      if (token.word.length > greeting.length && token.word.startsWith(greeting)) {
+        const rest = token.word.slice(greeting.length);
+        const spelling = spellings.find(s => s.words.length === 1 && s.words[0] === rest);
+        if (spelling) {
+          return { name: spelling.name, confidence: CONFIDENCE.alias };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Finds the most recent wake word in a transcript.
+   * @param {Array<{text: string}>} segments - Transcript segments in spoken order
+   * @returns {object|null} Match with name, heard phrase, confidence, the question after it
+   *   and the index of the segment where that question starts
+   */
+  function detect(segments) {
+    const tokens = tokenize(segments);
+    let best = null;
+
+    for (let i = 0; i < tokens.length; i++) {
+      let match = null;
+      const compound = matchCompound(tokens[i]);
+
+      if (compound) {
+        match = { ...compound, startIndex: i, endIndex: i };
+      } else if (greetings.has(tokens[i].word)) {
+        const name = matchName(tokens, i + 1);
+        // "okay echo that back to me" is not addressed to the assistant
+        const addressed = name && (!weakGreetings.has(tokens[i].word) ||
+          (opensSentence(segments, tokens[i]) && pausesAfter(segments, tokens[i + name.length])));
+        if (addressed) {
+          match = { name: name.name, confidence: name.confidence, startIndex: i, endIndex: i + name.length };
+        } else if (allowBareGreeting && i === 0 && bareGreetings.has(tokens[i].word) &&
+                   tokens[1] && questionStarters.has(tokens[1].word)) {
+          match = { name: null, confidence: CONFIDENCE.bareGreeting, startIndex: i, endIndex: i };
+        }
+      }
+
+      // The latest invocation wins: it is the one the user is waiting on
+      if (match && match.confidence >= minConfidence) {
+        best = match;
+      }
+    }
+
+    if (!best) return null;
+
+    const lastToken = tokens[best.endIndex];
+    const rest = segments[lastToken.segmentIndex].text.substring(lastToken.end);
+    const question = [
+      rest,
+      ...segments.slice(lastToken.segmentIndex + 1).map(segment => segment.text || '')
+    ]
+      .join(' ')
+      .replace(/^[\s,.!?;:¿¡-]+/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      name: best.name,
+      heard: tokens.slice(best.startIndex, best.endIndex + 1).map(token => token.word).join(' '),
+      confidence: best.confidence,
+      segmentIndex: tokens[best.startIndex].segmentIndex,
+      // "Hey Omi." on its own leaves the question to the segments after it
+      questionSegmentIndex: QUESTION_PREFIX.test(rest) ? lastToken.segmentIndex + 1 : lastToken.segmentIndex,
+      question
+    };
+  }
+
+  return { detect };
+}
+
+module.exports = {
+  createWakeWordDetector,
+  tokenize,
+  DEFAULT_GREETINGS,
+  WEAK_GREETINGS,
+  DEFAULT_NAMES,
+  BARE_GREETINGS,
+  QUESTION_STARTERS
+};
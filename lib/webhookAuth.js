@@ -0,0 +1,127 @@
+/**
+ * Authentication and replay protection for Omi webhooks.
+ *
+ * Modes:
+ * - none: accept every request (default, matches Omi's plain webhook setup)
+ * - secret: require a shared secret, either in the X-Webhook-Secret header or
+ *   as a ?secret= query parameter (handy for Omi's URL-only webhook settings)
+ * - hmac: require X-Webhook-Signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+ *   and X-Webhook-Timestamp (unix seconds)
+ *
+ * Whenever a timestamp is present it must fall inside the replay window, and the
+ * same timestamp + body may only be delivered once within that window.
+ *
+ * Signatures and replay fingerprints cover the exact body bytes, which the
+ * router's JSON parser keeps as req.rawBody. If the host app parsed the body
+ * first without keeping them, the check can't be done and the request fails
+ * with 500 rather than being rejected as forged or let through.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const SECRET_HEADER = 'x-webhook-secret';
+
+/**
+ * Constant-time string comparison.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Computes the signature a sender must put in X-Webhook-Signature.
+ * @param {string} secret - Shared HMAC secret
+ * @param {string|number} timestamp - Unix seconds
+ * @param {Buffer|string} rawBody - Exact request body bytes
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Creates the webhook authentication middleware.
+ * @param {object} options
+ * @param {string} options.mode - "none", "secret" or "hmac"
+ * @param {string} [options.secret] - Shared secret (secret and hmac modes)
+ * @param {number} options.replayWindowMs - Maximum age (and clock skew) of a timestamp
+ * @param {object} options.seen - Storage collection remembering delivered requests
+ * @param {function(): number} [options.now] - Clock
+ * @returns {function} Express middleware
+ */
+function createWebhookAuth({ mode, secret, replayWindowMs, seen, now = Date.now }) {
+  if (!['none', 'secret', 'hmac'].includes(mode)) {
+    throw new Error(`Unknown webhook auth mode: ${mode}`);
+  }
+  if (mode !== 'none' && !secret) {
+    throw new Error('WEBHOOK_SECRET not set');
+  }
+
+  function reject(res, status, error, message) {
+    logger.warn('🔒 Webhook rejected', { status, reason: message });
+    return res.status(status).json({ error, message });
+  }
+
+  return function webhookAuth(req, res, next) {
+    const timestamp = req.get(TIMESTAMP_HEADER);
+
+    // body-parser marks a parsed body with req._body; without rawBody it was parsed elsewhere
+    if ((mode === 'hmac' || timestamp !== undefined) && req._body && !req.rawBody) {
+      logger.error('🔒 Webhook body was parsed before the plugin router, so its raw bytes are gone', { path: req.path });
+      return res.status(500).json({
+        error: 'Server misconfigured',
+        message: 'The request body was parsed before the plugin router without keeping req.rawBody'
+      });
+    }
+    const rawBody = req.rawBody || Buffer.from('');
+
+    if (mode === 'secret') {
+      const provided = req.get(SECRET_HEADER) || req.query.secret;
+      if (!provided || !safeEqual(provided, secret)) {
+        return reject(res, 401, 'Unauthorized', 'Missing or invalid webhook secret');
+      }
+    }
+
+    if (mode === 'hmac') {
+      const signature = req.get(SIGNATURE_HEADER);
+      if (!signature || !timestamp) {
+        return reject(res, 401, 'Unauthorized', `${SIGNATURE_HEADER} and ${TIMESTAMP_HEADER} headers are required`);
+      }
+      if (!safeEqual(signature, signPayload(secret, timestamp, rawBody))) {
+        return reject(res, 401, 'Unauthorized', 'Invalid webhook signature');
+      }
+    }
+
+    if (timestamp !== undefined) {
+      const sentAt = Number(timestamp) * 1000;
+      if (!Number.isFinite(sentAt) || Math.abs(now() - sentAt) > replayWindowMs) {
+        return reject(res, 401, 'Unauthorized', 'Webhook timestamp is outside the allowed window');
+      }
+
+      const fingerprint = crypto.createHash('sha256').update(`${timestamp}.`).update(rawBody).digest('hex');
+      if (seen.has(fingerprint)) {
+        return reject(res, 409, 'Conflict', 'Duplicate webhook delivery');
+      }
+      seen.set(fingerprint, true, { ttlMs: replayWindowMs * 2 });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  createWebhookAuth,
+  signPayload,
+  safeEqual
+};
@@ -0,0 +1,53 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startPlugin, transcript } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+test('notification queue state is admin-only', async (t) => {
+  const plugin = await startPlugin({ adminToken: 'admin-secret' });
+  t.after(() => plugin.close());
+
+  assert.strictEqual((await plugin.get('/notification-queue')).status, 404);
+  assert.strictEqual((await plugin.get('/admin/notification-queue')).status, 401);
+
+  const response = await plugin.get('/admin/notification-queue?uid=user-1', ADMIN);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.queue.pending, 0);
+});
+
+test('deleting a user\'s data removes their sessions and queued notifications', async (t) => {
+  // Omi keeps answering 429, so answers stay in the queue
+  const rateLimited = async () => {
+    const error = new Error('Too many notifications');
+    error.statusCode = 429;
+    throw error;
+  };
+  const plugin = await startPlugin({ adminToken: 'admin-secret', responseMode: 'async', omi: { sendNotification: rateLimited } });
+  t.after(() => plugin.close());
+
+  // Not answered yet, so only the session record knows whose they are
+  await plugin.post('/omi-webhook?uid=user-1', transcript('s1', 'so about that meeting'));
+  await plugin.post('/omi-webhook?uid=user-2', transcript('s2', 'and then we left'));
+  const sessions = await plugin.get('/admin/sessions', ADMIN);
+  assert.deepStrictEqual(sessions.body.sessions.map(session => session.uid).sort(), ['user-1', 'user-2']);
+
+  await plugin.post('/omi-webhook?uid=user-1', transcript('s3', 'Hey Omi, who wrote Hamlet?'));
+  // The answer is generated in the background
+  let pending = 0;
+  for (let i = 0; i < 50 && pending === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    pending = (await plugin.get('/admin/notification-queue?uid=user-1', ADMIN)).body.queue.pending;
+  }
+  assert.strictEqual(pending, 1);
+
+  const response = await plugin.request('DELETE', '/admin/users/user-1/data', undefined, ADMIN);
+  assert.strictEqual(response.body.deleted.sessions, 1);
+  assert.strictEqual(response.body.deleted.queued_notifications, 1);
+
+  assert.strictEqual((await plugin.get('/admin/notification-queue?uid=user-1', ADMIN)).body.queue.pending, 0);
+  const remaining = await plugin.get('/admin/sessions', ADMIN);
+  assert.deepStrictEqual(remaining.body.sessions.map(session => session.uid), ['user-2']);
+});
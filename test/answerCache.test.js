@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isCacheableQuestion } = require('../lib/answerCache');
+const { getLanguage } = require('../lib/languages');
+
+test('does not cache answers that go stale', () => {
+  assert.ok(isCacheableQuestion('who wrote Hamlet?'));
+  assert.ok(!isCacheableQuestion("what's the weather in Paris?"));
+  assert.ok(!isCacheableQuestion('¿qué noticias hay hoy?', { language: getLanguage('es') }));
+  assert.ok(!isCacheableQuestion('Wie wird das Wetter morgen?', { language: getLanguage('de') }));
+});
+
+test('does not cache follow-ups once there is history', () => {
+  assert.ok(isCacheableQuestion('when was he born?'));
+  assert.ok(!isCacheableQuestion('when was he born?', { hasHistory: true }));
+  assert.ok(!isCacheableQuestion('and Macbeth?', { hasHistory: true }));
+  assert.ok(!isCacheableQuestion('¿y dónde vive ella?', { hasHistory: true, language: getLanguage('es') }));
+  // Spanish "es" is "is", not the German "it"
+  assert.ok(isCacheableQuestion('¿quién es el autor de Don Quijote?', { hasHistory: true, language: getLanguage('es') }));
+});
@@ -0,0 +1,83 @@
+/**
+ * Shared setup for the HTTP tests: a router on an ephemeral port, answering
+ * with the offline mock provider and recording notifications instead of
+ * calling the Omi API.
+ */
+
+const express = require('express');
+const { createOmiChatRouter } = require('../lib/router');
+const { createStorage } = require('../lib/storage');
+const { createProviderChain, createMockProvider } = require('../lib/providers');
+
+/**
+ * Starts the plugin on a random port.
+ * @param {object} [options] - Router options; llm defaults to the mock provider
+ * @param {object} [host]
+ * @param {Array<function>} [host.middleware] - Host app middleware mounted before the router
+ * @returns {Promise<object>} { url, router, notifications, post(path, body, headers), close() }
+ */
+async function startPlugin(options = {}, { middleware = [] } = {}) {
+  const notifications = [];
+  const router = createOmiChatRouter({
+    storage: createStorage(),
+    llm: createProviderChain([createMockProvider()]),
+    omi: { sendNotification: async (uid, message) => notifications.push({ uid, message }) },
+    env: {},
+    ...options
+  });
+
+  const app = express();
+  middleware.forEach(handler => app.use(handler));
+  app.use(router.start());
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      // Not every response is JSON (metrics, exports)
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  return {
+    url,
+    router,
+    notifications,
+    request,
+    post: (path, body, headers) => request('POST', path, body, headers),
+    get: (path, headers) => request('GET', path, undefined, headers),
+    async close() {
+      await router.stop({ timeoutMs: 1000 });
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+/**
+ * A transcript webhook payload.
+ * @param {string} sessionId
+ * @param {...string} texts - Segment texts
+ * @returns {object}
+ */
+function transcript(sessionId, ...texts) {
+  return {
+    session_id: sessionId,
+    segments: texts.map((text, i) => ({ id: `${sessionId}-${i}`, text, speaker: 'SPEAKER_00', is_user: true, start: i, end: i + 0.5 }))
+  };
+}
+
+module.exports = {
+  startPlugin,
+  transcript
+};
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { handlers, createIntentRouter } = require('../lib/intents');
+const { getLanguage } = require('../lib/languages');
+const { isResetCommand } = require('../lib/conversation');
+const { isMoreCommand } = require('../lib/shaping');
+
+const context = { now: new Date('2026-03-14T15:09:00Z'), timezone: 'UTC' };
+
+/**
+ * @param {string} question
+ * @returns {string|null} The time intent's answer
+ */
+function askTime(question) {
+  return handlers.time.answer(question, context);
+}
+
+test('answers whole time and date questions', () => {
+  assert.strictEqual(askTime('what time is it?'), "It's 3:09 PM.");
+  assert.strictEqual(askTime('Can you tell me the time please?'), "It's 3:09 PM.");
+  assert.strictEqual(askTime('what is the date today?'), 'Today is Saturday, March 14, 2026.');
+});
+
+test('leaves questions that only mention the time or date to the model', () => {
+  assert.strictEqual(askTime("what's today's weather like"), null);
+  assert.strictEqual(askTime("what's today's news"), null);
+  assert.strictEqual(askTime('what is the date of the next election'), null);
+  assert.strictEqual(askTime('what is the time complexity of quicksort'), null);
+  assert.strictEqual(askTime('what time is it in Tokyo?'), null);
+});
+
+test('answers in the language of the question', () => {
+  const intents = createIntentRouter();
+  const ask = (question, code) => intents.route(question, { ...context, helpText: 'help', language: getLanguage(code) });
+
+  assert.strictEqual(ask('¿qué hora es?', 'es').text, 'Son las 15:09.');
+  assert.strictEqual(ask('cuánto es 6 por 7', 'es').text, '6 por 7 es 42.');
+  assert.strictEqual(ask('wie spät ist es jetzt?', 'de').text, 'Es ist 15:09 Uhr.');
+  assert.strictEqual(ask('welcher tag ist heute', 'de').text, 'Heute ist Samstag, 14. März 2026.');
+  assert.strictEqual(ask('was ist 6 mal 7', 'de').text, '6 mal 7 ist 42.');
+  // English unit names only
+  assert.strictEqual(ask('convert 5 miles to km', 'en').text, '5 miles is 8.047 kilometres.');
+  assert.strictEqual(ask('5 km to miles', 'de'), null);
+});
+
+test('recognises reset and more commands per language', () => {
+  assert.ok(isResetCommand('please start over'));
+  assert.ok(isResetCommand('olvida todo', getLanguage('es')));
+  assert.ok(isResetCommand('Vergiss das!', getLanguage('de')));
+  assert.ok(!isResetCommand('start overthinking less'));
+  assert.ok(!isResetCommand('forget that song, who sang Yesterday?'));
+
+  assert.ok(isMoreCommand('tell me more'));
+  assert.ok(isMoreCommand('más', getLanguage('es')));
+  assert.ok(isMoreCommand('weiter.', getLanguage('de')));
+  assert.ok(!isMoreCommand('more coffee please'));
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRedaction } = require('../lib/pii');
+
+/**
+ * @param {string} text
+ * @returns {string} The text as the LLM provider would see it
+ */
+function mask(text) {
+  return createRedaction().mask(text);
+}
+
+test('masks phones, addresses, emails and cards', () => {
+  assert.strictEqual(
+    mask('call Anna at +1 415-555-0134 about 221 Baker Street'),
+    'call Anna at [PHONE_1] about [ADDRESS_1]'
+  );
+  assert.strictEqual(mask('meet me at 5 Park Place.'), 'meet me at [ADDRESS_1]');
+  assert.strictEqual(mask('call 555-0134 or 415 555 0134'), 'call [PHONE_1] or [PHONE_2]');
+  assert.strictEqual(mask('mail anna dot smith at example dot com'), 'mail [EMAIL_1]');
+  assert.strictEqual(mask('my card is 4111 1111 1111 1111.'), 'my card is [CARD_1].');
+});
+
+test('leaves everyday numbers and words alone', () => {
+  for (const text of [
+    'remind me in 20 minutes to drive to work',
+    'set a timer for 10 minutes to check the place',
+    'what happened in 1969 2001 and 2015',
+    'there are 3 ways to court a voter',
+    'what is 12.5 times 4'
+  ]) {
+    assert.strictEqual(mask(text), text);
+  }
+});
+
+test('restores placeholders, showing only the end of card numbers', () => {
+  const redaction = createRedaction();
+  redaction.mask('call +1 415-555-0134 with card 4111 1111 1111 1111');
+  assert.strictEqual(redaction.unmask('Calling [PHONE_1] about [CARD_1].'), 'Calling +1 415-555-0134 about card ending 1111.');
+});
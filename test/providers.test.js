@@ -0,0 +1,113 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProviderChain, createMockProvider } = require('../lib/providers');
+const { createOpenAIChatProvider } = require('../lib/providers/openaiChat');
+const { createToolRegistry } = require('../lib/tools');
+
+/**
+ * A registry with one side-effecting and one read-only tool that count their calls.
+ * @returns {{registry: object, calls: object}}
+ */
+function countingTools() {
+  const calls = { set_reminder: 0, list_reminders: 0 };
+  const registry = createToolRegistry();
+  registry.register({
+    name: 'set_reminder',
+    handler: async ({ message }) => {
+      calls.set_reminder++;
+      return { scheduled: true, message };
+    },
+    confirm: result => `Okay, I'll remind you: ${result.message}.`
+  });
+  registry.register({
+    name: 'list_reminders',
+    readOnly: true,
+    handler: async () => {
+      calls.list_reminders++;
+      return { reminders: [] };
+    }
+  });
+  return { registry, calls };
+}
+
+/**
+ * A provider that calls one tool and then fails, like a timeout after a tool round.
+ * @param {string} tool - Tool to call
+ * @returns {object} Provider
+ */
+function failsAfterTool(tool) {
+  return {
+    name: 'flaky',
+    model: 'flaky',
+    async generate({ tools }) {
+      await tools.execute(tool, JSON.stringify({ message: 'call mom' }));
+      throw new Error('Request timed out.');
+    }
+  };
+}
+
+test('does not fall back after a side-effecting tool ran', async () => {
+  const { registry, calls } = countingTools();
+  const fallback = createMockProvider({ response: 'fallback answer' });
+  const chain = createProviderChain([failsAfterTool('set_reminder'), fallback]);
+
+  const result = await chain.generate({ question: 'remind me to call mom', tools: registry.forRequest({ uid: 'u1' }) });
+
+  assert.strictEqual(calls.set_reminder, 1);
+  assert.strictEqual(result.text, "Okay, I'll remind you: call mom.");
+  assert.strictEqual(result.provider, 'flaky');
+});
+
+test('still falls back after read-only tools', async () => {
+  const { registry, calls } = countingTools();
+  const chain = createProviderChain([failsAfterTool('list_reminders'), createMockProvider({ response: 'fallback answer' })]);
+
+  const result = await chain.generate({ question: 'what are my reminders?', tools: registry.forRequest({ uid: 'u1' }) });
+
+  assert.strictEqual(calls.list_reminders, 1);
+  assert.strictEqual(result.text, 'fallback answer');
+  assert.strictEqual(result.fallbackUsed, true);
+});
+
+test('a deadline abort does not count towards opening the circuit', async () => {
+  const controller = new AbortController();
+  const slow = {
+    name: 'slow',
+    model: 'slow',
+    async generate() {
+      controller.abort();
+      throw new Error('Request was aborted.');
+    }
+  };
+  const chain = createProviderChain([slow, createMockProvider({ response: 'fallback answer' })], { circuitFailureThreshold: 1 });
+
+  await assert.rejects(chain.generate({ question: 'who wrote Hamlet?', signal: controller.signal }));
+
+  assert.strictEqual(chain.describe()[0].circuit, 'closed');
+});
+
+test('a provider that fails after a tool round reports the tokens it used', async () => {
+  const { registry } = countingTools();
+  const responses = [{
+    choices: [{ message: { role: 'assistant', tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'list_reminders', arguments: '{}' } }] } }],
+    usage: { prompt_tokens: 300, completion_tokens: 20 }
+  }];
+  const client = {
+    chat: {
+      completions: {
+        create: async () => {
+          if (responses.length === 0) throw new Error('Request timed out.');
+          return responses.shift();
+        }
+      }
+    }
+  };
+  const chain = createProviderChain([createOpenAIChatProvider({ name: 'openai-chat', client, model: 'gpt-4o', timeoutMs: 1000 })]);
+
+  const error = await chain.generate({ question: 'what are my reminders?', tools: registry.forRequest({ uid: 'u1' }) }).catch(failure => failure);
+
+  assert.strictEqual(error.failures[0].model, 'gpt-4o');
+  assert.deepStrictEqual(error.failures[0].error.usage, { inputTokens: 300, outputTokens: 20, webSearchCalls: 0, toolCalls: 1 });
+});
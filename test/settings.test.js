@@ -0,0 +1,31 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startPlugin } = require('./helpers');
+
+test('settings changes need the admin token without webhook credentials', async (t) => {
+  const plugin = await startPlugin({ adminToken: 'admin-secret' });
+  t.after(() => plugin.close());
+
+  const anonymous = await plugin.request('PUT', '/users/user-1/settings', { answer_length: 'short' });
+  assert.strictEqual(anonymous.status, 401);
+  assert.strictEqual((await plugin.request('DELETE', '/users/user-1/settings')).status, 401);
+  assert.strictEqual((await plugin.request('PUT', '/users/user-1/timezone', { timezone: 'Europe/Berlin' })).status, 401);
+  assert.strictEqual((await plugin.request('PUT', '/users/user-1/speaker-policy', { speaker_policy: 'wearer' })).status, 401);
+
+  const admin = await plugin.request('PUT', '/users/user-1/settings', { answer_length: 'short' }, { Authorization: 'Bearer admin-secret' });
+  assert.strictEqual(admin.status, 200);
+  assert.strictEqual((await plugin.get('/users/user-1/settings')).body.settings.answer_length, 'short');
+});
+
+test('settings changes accept the webhook secret', async (t) => {
+  const plugin = await startPlugin({ webhookAuthMode: 'secret', webhookSecret: 'hook-secret' });
+  t.after(() => plugin.close());
+
+  assert.strictEqual((await plugin.request('PUT', '/users/user-1/timezone?secret=wrong', { timezone: 'Europe/Berlin' })).status, 401);
+
+  const response = await plugin.request('PUT', '/users/user-1/timezone?secret=hook-secret', { timezone: 'Europe/Berlin' });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.timezone, 'Europe/Berlin');
+});
@@ -0,0 +1,60 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+/**
+ * Waits until the file driver has written its buffered lines.
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test('file storage stays compact while a session keeps growing', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omi-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'store.jsonl');
+
+  const storage = createStorage({ driver: 'file', path: filePath });
+  const sessions = storage.collection('sessions');
+  const segments = [];
+  for (let i = 0; i < 400; i++) {
+    segments.push({ id: `s1-${i}`, text: 'and then we talked about the weather for a while', start: i, end: i + 0.5 });
+    sessions.set('s1', { uid: 'user-1', segments });
+    if (i % 50 === 0) await settle();
+  }
+  await settle();
+
+  // Rewriting the whole session each time adds up to about 8 MB without compaction
+  const live = JSON.stringify({ uid: 'user-1', segments }).length;
+  assert.ok(fs.statSync(filePath).size < 2 * live + 1024 * 1024);
+
+  storage.close();
+  const reopened = createStorage({ driver: 'file', path: filePath });
+  assert.strictEqual(reopened.collection('sessions').get('s1').segments.length, 400);
+  reopened.close();
+});
+
+test('file storage writes in the background and keeps deletions', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omi-storage-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'store.jsonl');
+
+  const storage = createStorage({ driver: 'file', path: filePath });
+  const settings = storage.collection('settings');
+  settings.set('user-1', { assistant_name: 'Friday' });
+  settings.set('user-2', { assistant_name: 'Jarvis' });
+  settings.delete('user-2');
+  assert.ok(!fs.existsSync(filePath));
+
+  await settle();
+  const reopened = createStorage({ driver: 'file', path: filePath });
+  assert.deepStrictEqual(reopened.collection('settings').entries(), [['user-1', { assistant_name: 'Friday' }]]);
+  reopened.close();
+  storage.close();
+});
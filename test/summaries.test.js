@@ -0,0 +1,73 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProviderChain } = require('../lib/providers');
+const { defaultSettingsFromEnv } = require('../lib/settings');
+const { startPlugin } = require('./helpers');
+
+const MEMORY = {
+  id: 'memory-1',
+  transcript_segments: [
+    { text: 'Call Anna at +1 415-555-0134 tomorrow.', speaker: 'SPEAKER_00', is_user: true, start: 0, end: 2 }
+  ]
+};
+
+/**
+ * A provider that records what it was sent and summarizes with placeholders.
+ * @returns {{provider: object, questions: string[], requests: object[]}}
+ */
+function recordingProvider() {
+  const questions = [];
+  const requests = [];
+  const provider = {
+    name: 'recording',
+    model: 'recording',
+    async generate(request) {
+      const { question } = request;
+      requests.push(request);
+      questions.push(question);
+      const phone = (question.match(/\[PHONE_1\]|\+1 415-555-0134/) || [])[0];
+      return {
+        text: JSON.stringify({ summary: `Anna needs a call at ${phone}.`, action_items: [`Call ${phone}`], decisions: [] }),
+        usage: { inputTokens: 1, outputTokens: 1, webSearchCalls: 0 }
+      };
+    }
+  };
+  return { provider, questions, requests };
+}
+
+test('masks personal data in summary transcripts for users who opted in', async (t) => {
+  const { provider, questions } = recordingProvider();
+  const plugin = await startPlugin({
+    llm: createProviderChain([provider]),
+    settingsDefaults: defaultSettingsFromEnv({ PII_REDACTION: 'true' })
+  });
+  t.after(() => plugin.close());
+
+  const response = await plugin.post('/memory-created?uid=user-1', MEMORY);
+  assert.strictEqual(response.status, 200);
+  assert.doesNotMatch(questions[0], /415-555-0134/);
+  assert.match(questions[0], /\[PHONE_1\]/);
+  assert.strictEqual(response.body.summary, 'Anna needs a call at +1 415-555-0134.');
+  assert.deepStrictEqual(response.body.action_items, ['Call +1 415-555-0134']);
+});
+
+test('sends summary transcripts unmasked by default', async (t) => {
+  const { provider, questions } = recordingProvider();
+  const plugin = await startPlugin({ llm: createProviderChain([provider]) });
+  t.after(() => plugin.close());
+
+  await plugin.post('/memory-created?uid=user-1', MEMORY);
+  assert.match(questions[0], /\+1 415-555-0134/);
+});
+
+test('summarizes without web search and within the LLM deadline', async (t) => {
+  const { provider, requests } = recordingProvider();
+  const plugin = await startPlugin({ llm: createProviderChain([provider]), llmDeadlineMs: 5000 });
+  t.after(() => plugin.close());
+
+  await plugin.post('/memory-created?uid=user-1', MEMORY);
+  assert.strictEqual(requests[0].webSearch, false);
+  assert.ok(requests[0].signal instanceof AbortSignal);
+});
@@ -0,0 +1,17 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createToolRegistry, createNoteTools } = require('../lib/tools');
+const { createStorage } = require('../lib/storage');
+
+test('notes are stamped with the request clock', async () => {
+  const notes = createStorage().collection('notes');
+  const registry = createToolRegistry();
+  createNoteTools(notes).forEach(registry.register);
+  const tools = registry.forRequest({ uid: 'u1', now: () => Date.parse('2026-03-14T15:09:00Z') });
+
+  await tools.execute('save_note', JSON.stringify({ text: 'the wifi password is hunter2' }));
+
+  assert.deepStrictEqual(notes.get('u1'), [{ text: 'the wifi password is hunter2', created_at: '2026-03-14T15:09:00.000Z' }]);
+});
@@ -0,0 +1,52 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProviderChain, createMockProvider } = require('../lib/providers');
+const { startPlugin, transcript } = require('./helpers');
+
+/**
+ * A provider that times out after a tool round it was billed for.
+ * @returns {object} Provider
+ */
+function timesOutAfterToolRound() {
+  return {
+    name: 'slow',
+    model: 'gpt-4o-mini',
+    async generate() {
+      const error = new Error('Request timed out.');
+      error.usage = { inputTokens: 600, outputTokens: 40, webSearchCalls: 0, toolCalls: 1 };
+      throw error;
+    }
+  };
+}
+
+test('tokens used by failed provider calls count towards the quota', async (t) => {
+  const plugin = await startPlugin({
+    llm: createProviderChain([timesOutAfterToolRound()]),
+    usageLimits: { dailyTokens: 500, monthlyTokens: 0, dailyCostUsd: 0, monthlyCostUsd: 0 }
+  });
+  t.after(() => plugin.close());
+
+  await plugin.post('/omi-webhook?uid=user-1', transcript('s1', 'Hey Omi, who wrote Hamlet?'));
+  const status = await plugin.get('/rate-limit/user-1');
+  assert.strictEqual(status.body.usage.daily.inputTokens, 600);
+  assert.strictEqual(status.body.usage.isLimited, true);
+
+  const refused = await plugin.post('/omi-webhook?uid=user-1', transcript('s2', 'Hey Omi, who wrote Faust?'));
+  assert.match(refused.body.message, /daily limit/);
+});
+
+test('tokens used before a fallback are counted with the answer', async (t) => {
+  const plugin = await startPlugin({
+    llm: createProviderChain([timesOutAfterToolRound(), createMockProvider()])
+  });
+  t.after(() => plugin.close());
+
+  const response = await plugin.post('/omi-webhook?uid=user-1', transcript('s1', 'Hey Omi, who wrote Hamlet?'));
+  assert.strictEqual(response.body.message, 'Mock answer to "who wrote Hamlet?".');
+
+  const status = await plugin.get('/rate-limit/user-1');
+  assert.strictEqual(status.body.usage.daily.requests, 2);
+  assert.ok(status.body.usage.daily.inputTokens >= 600);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWakeWordDetector } = require('../lib/wakeWord');
+
+const detector = createWakeWordDetector();
+
+/**
+ * Runs the default detector over transcript segments given as strings.
+ * @param {...string} texts
+ * @returns {object|null}
+ */
+function detect(...texts) {
+  return detector.detect(texts.map(text => ({ text })));
+}
+
+test('wakes on a greeting followed by an assistant name', () => {
+  const match = detect('Hey Omi, what is the capital of France?');
+  assert.strictEqual(match.name, 'omi');
+  assert.strictEqual(match.confidence, 1);
+  assert.strictEqual(match.question, 'what is the capital of France?');
+});
+
+test('ignores words that merely contain "hey"', () => {
+  assert.strictEqual(detect('they said omi was down'), null);
+  assert.strictEqual(detect('whey protein for omi'), null);
+});
+
+test('ignores "hey" addressed to someone else', () => {
+  assert.strictEqual(detect('hey guys, what are we doing tonight?'), null);
+  assert.strictEqual(detect('so I said hey, what are you doing'), null);
+});
+
+test('finds a wake word split across segments', () => {
+  const match = detect('hey', 'omi', 'what time is it');
+  assert.strictEqual(match.name, 'omi');
+  assert.strictEqual(match.question, 'what time is it');
+});
+
+test('accepts common misspellings with lower confidence', () => {
+  const alias = detect('hey ohmy what is the weather');
+  assert.strictEqual(alias.name, 'omi');
+  assert.ok(alias.confidence < 1);
+
+  assert.strictEqual(detect('hey oh me, set a timer').name, 'omi');
+  assert.strictEqual(detect('hey jervis, tell me a joke').name, 'jarvis');
+  assert.strictEqual(detect('heyomi what time is it').name, 'omi');
+});
+
+test('accepts one-letter typos only for longer names', () => {
+  assert.strictEqual(detect('hey jarvys, play music').name, 'jarvis');
+  assert.strictEqual(detect('hey jarvas, play music').confidence, 0.75);
+  // "oma" is one letter from "omi", but short names do not get fuzzy matching
+  assert.strictEqual(detect('hey oma, how are you?'), null);
+});
+
+test('accepts a bare "hey" only when it opens a question', () => {
+  const match = detect('hey, what time is it?');
+  assert.strictEqual(match.name, null);
+  assert.strictEqual(match.question, 'what time is it?');
+
+  assert.strictEqual(detect('hey there, nice to see you'), null);
+  assert.strictEqual(detect('I told him hey what is up'), null);
+});
+
+test('treats hi, ok and okay as wake greetings only before a pause at a sentence start', () => {
+  assert.strictEqual(detect('Okay, echo chamber effects are real'), null);
+  assert.strictEqual(detect('okay echo that back to me'), null);
+  assert.strictEqual(detect('so hi omi, how are you'), null);
+
+  assert.strictEqual(detect('Okay Omi, what time is it?').name, 'omi');
+  assert.strictEqual(detect('That was fun. Hi Echo, play it again').name, 'echo');
+  assert.strictEqual(detect('ok jarvis', 'set a timer for 5 minutes').name, 'jarvis');
+});
+
+test('the latest invocation wins', () => {
+  const match = detect('Hey Jarvis, never mind.', 'Hey Omi, what is two plus two?');
+  assert.strictEqual(match.name, 'omi');
+  assert.strictEqual(match.question, 'what is two plus two?');
+});
+
+test('respects a custom name table and minimum confidence', () => {
+  const custom = createWakeWordDetector({ names: { friday: ['friday'] }, minConfidence: 0.9 });
+  assert.strictEqual(custom.detect([{ text: 'hey friday, open the notes' }]).name, 'friday');
+  assert.strictEqual(custom.detect([{ text: 'hey omi, open the notes' }]), null);
+  // Fuzzy matches fall below the minimum
+  assert.strictEqual(custom.detect([{ text: 'hey fryday, open the notes' }]), null);
+});
@@ -0,0 +1,95 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startPlugin, transcript } = require('./helpers');
+
+test('transcript webhook with the mock provider', async (t) => {
+  const plugin = await startPlugin();
+  t.after(() => plugin.close());
+
+  await t.test('answers a wake-word question', async () => {
+    const response = await plugin.post('/omi-webhook?uid=user-1', transcript('s1', 'Hey Omi, who wrote Hamlet?'));
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.message, 'Mock answer to "who wrote Hamlet?".');
+  });
+
+  await t.test('ignores speech without a trigger', async () => {
+    const response = await plugin.post('/omi-webhook?uid=user-1', transcript('s2', 'they went to the shop earlier'));
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body, {});
+  });
+
+  await t.test('waits for a wake word split across deliveries', async () => {
+    const first = await plugin.post('/omi-webhook?uid=user-4', transcript('s3', 'hey'));
+    assert.deepStrictEqual(first.body, {});
+
+    const second = await plugin.post('/omi-webhook?uid=user-4', {
+      session_id: 's3',
+      segments: [
+        { id: 's3-0', text: 'hey', start: 0, end: 0.5 },
+        { id: 's3-1', text: 'omi, who painted the Mona Lisa?', start: 0.6, end: 2 }
+      ]
+    });
+    assert.strictEqual(second.body.message, 'Mock answer to "who painted the Mona Lisa?".');
+  });
+
+  await t.test('waits for the question after a pause following the wake word', async () => {
+    const first = await plugin.post('/omi-webhook?uid=user-6', transcript('s9', 'Hey Omi.'));
+    assert.deepStrictEqual(first.body, {});
+
+    const second = await plugin.post('/omi-webhook?uid=user-6', {
+      session_id: 's9',
+      segments: [{ id: 's9-1', text: 'Who wrote Hamlet?', speaker: 'SPEAKER_00', is_user: true, start: 3, end: 4.5 }]
+    });
+    assert.strictEqual(second.body.message, 'Mock answer to "Who wrote Hamlet?".');
+  });
+
+  await t.test('answers instant questions without the provider', async () => {
+    const response = await plugin.post('/omi-webhook?uid=user-1', transcript('s4', 'Hey Omi, what is 6 times 7?'));
+    assert.match(response.body.message, /42/);
+  });
+
+  await t.test('remembers earlier questions for follow-ups', async () => {
+    const response = await plugin.post('/omi-webhook?uid=user-2', transcript('s5', 'Hey Omi, who wrote Faust?'));
+    assert.strictEqual(response.body.message, 'Mock answer to "who wrote Faust?".');
+
+    const followUp = await plugin.post('/omi-webhook?uid=user-2', transcript('s6', 'Hey Omi, when was he born?'));
+    assert.strictEqual(followUp.body.message, 'Mock answer to "when was he born?" (after 1 earlier question).');
+  });
+
+  await t.test('accepts greetings only in the language being spoken', async () => {
+    const german = await plugin.post('/omi-webhook?uid=user-5', transcript('s7', 'he oh me, who wrote Hamlet?'));
+    assert.deepStrictEqual(german.body, {});
+
+    const spanish = await plugin.post('/omi-webhook?uid=user-5', transcript('s8', 'Oye Omi, ¿quién escribió el Quijote?'));
+    assert.strictEqual(spanish.body.message, 'Mock answer to "quién escribió el Quijote?".');
+  });
+
+  await t.test('rejects malformed payloads', async () => {
+    const response = await plugin.post('/omi-webhook?uid=user-1', { segments: 'nope' });
+    assert.strictEqual(response.status, 400);
+  });
+});
+
+test('reminders through the mock provider\'s tool call', async (t) => {
+  const plugin = await startPlugin();
+  t.after(() => plugin.close());
+
+  const response = await plugin.post('/omi-webhook?uid=user-3', transcript('s1', 'Hey Omi, remind me in 20 minutes to call mom.'));
+  assert.strictEqual(response.body.message, "Okay, I'll remind you to call mom in 20 minutes.");
+});
+
+test('"more" continues a long answer, and is a follow-up question otherwise', async (t) => {
+  const plugin = await startPlugin({ responseBudgets: { chat: 80, notification: 80 } });
+  t.after(() => plugin.close());
+
+  const followUp = await plugin.post('/omi-webhook?uid=user-1', transcript('s1', 'Hey Omi, tell me more.'));
+  assert.strictEqual(followUp.body.message, 'Mock answer to "tell me more.".');
+
+  const long = await plugin.post('/omi-webhook?uid=user-1', transcript('s2', 'Hey Omi, who wrote the play about the prince of Denmark and the ghost of his father?'));
+  assert.match(long.body.message, /Say "more" to continue/);
+
+  const more = await plugin.post('/omi-webhook?uid=user-1', transcript('s3', 'Hey Omi, tell me more.'));
+  assert.match(more.body.message, /^Denmark and the ghost of his father\?/);
+});
@@ -0,0 +1,42 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { signPayload } = require('../lib/webhookAuth');
+const { startPlugin, transcript } = require('./helpers');
+
+const SECRET = 'hook-secret';
+
+/**
+ * Signed headers for a body, timestamped now.
+ * @param {string} body - Exact JSON sent
+ * @returns {object}
+ */
+function signed(body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return { 'X-Webhook-Timestamp': String(timestamp), 'X-Webhook-Signature': signPayload(SECRET, timestamp, body) };
+}
+
+test('accepts signed webhooks and rejects forged ones', async (t) => {
+  const plugin = await startPlugin({ webhookAuthMode: 'hmac', webhookSecret: SECRET });
+  t.after(() => plugin.close());
+
+  const body = JSON.stringify(transcript('s1', 'Hey Omi, who wrote Hamlet?'));
+  const response = await plugin.post('/omi-webhook?uid=user-1', body, signed(body));
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.message, 'Mock answer to "who wrote Hamlet?".');
+
+  const forged = await plugin.post('/omi-webhook?uid=user-1', body.replace('Hamlet', 'Faust'), signed(body));
+  assert.strictEqual(forged.status, 401);
+});
+
+test('fails loudly when the host app parsed the body first', async (t) => {
+  const plugin = await startPlugin({ webhookAuthMode: 'hmac', webhookSecret: SECRET }, { middleware: [express.json()] });
+  t.after(() => plugin.close());
+
+  const body = JSON.stringify(transcript('s1', 'Hey Omi, who wrote Hamlet?'));
+  const response = await plugin.post('/omi-webhook?uid=user-1', body, signed(body));
+  assert.strictEqual(response.status, 500);
+  assert.strictEqual(response.body.error, 'Server misconfigured');
+});